@@ -4,26 +4,45 @@
  * Juportal Crawler
  * 
  * Crawls the Juportal website (juportal.be) to extract structured legal data
- * from Belgian Court of Cassation (CASS) judgements.
+ * from Belgian court judgements — the Court of Cassation (CASS) by default,
+ * or any set of courts selected with --courts / settings.json "courts".
  * 
  * Data is extracted from sitemaps listed in robots.txt, processed from most 
- * recent to oldest. Results are exported as JSON files organized by ELI.
+ * recent to oldest. Results are exported as JSON files organized by ELI;
+ * advocate-general conclusions (CONC) go to conclusions.json and are linked
+ * to their judgement.
  */
 
 import chalk from 'chalk';
 import readline from 'node:readline';
 import { logInfo, logSuccess, logWarn, logError, logFatal, timestamp } from './src/logger.js';
-import { ensureDataDir, loadSettings, saveSettings, loadErrorsFile, saveErrorsFile, appendMissingEli, flushAll } from './src/storage.js';
-import { fetchSitemapIndexUrls, extractDateFromUrl, fetchSitemapUrls } from './src/sitemap.js';
+import { ensureDataDir, enableDryRun, isDryRun, loadSettings, loadErrorsFile, saveErrorsFile, appendMissingEli, flushAll, isDeadUrl, recordDeadUrl,
+  replayJournal, markSitemapIndexProcessed, unmarkSitemapIndex, enableDataCache, flushDataFiles, configureStorage, getStorage,
+  importJsonIntoSqlite, exportSqliteToJson } from './src/storage.js';
+import { configureFetch, getFetchStats, onFetchOutcome } from './src/fetch.js';
+import { fetchSitemapIndexUrls, extractDateFromUrl, filterUrlsByDateWindow, fetchSitemapUrls, checkSitemapIndexChanged, findChangedSitemaps } from './src/sitemap.js';
+import { recrawlSitemaps } from './src/recrawl.js';
+import { acquireLock } from './src/lock.js';
 import { processSingleSitemapUrl, fetchSitemapResult, commitSitemapResult } from './src/processor.js';
 import { processMissingEliFile } from './src/data.js';
 import { progress } from './src/progress.js';
-import { SITEMAP_CONCURRENCY, LOG_FILE } from './src/constants.js';
-import { Semaphore, SerialQueue } from './src/concurrency.js';
+import { SITEMAP_CONCURRENCY, SITEMAP_CONCURRENCY_MIN, SITEMAP_CONCURRENCY_MAX, OPEN_INDEX_LIMIT, LOG_FILE, DEFAULT_COURTS,
+  STORAGE_BACKENDS, SEARCH_RESULT_LIMIT, SERVE_PORT, EXPORT_FORMATS, STATS_TOP_COUNT } from './src/constants.js';
+import { AdaptiveLimiter, Semaphore, SerialQueue } from './src/concurrency.js';
 import { extractOldStyleArticle, extractLegalBasisKey } from './src/utils.js';
 import { findMissingEli } from './src/find_missing_eli.js';
 import { fixArticlesFromLog } from './src/fix_articles.js';
 import { addRelated } from './src/add_related.js';
+import { rebuildFromArchive } from './src/rebuild.js';
+import { migrateStoredData } from './src/migrate.js';
+import { validateDataset } from './src/validate.js';
+import { trackSearchIndex, buildSearchIndex, runSearch } from './src/search.js';
+import { trackEcliIndex, buildEcliIndex } from './src/ecli_index.js';
+import { LANGS } from './src/analyzer.js';
+import { serveDataset } from './src/server.js';
+import { exportCitations } from './src/export.js';
+import { exportAnnotated } from './src/annotated.js';
+import { reportStats } from './src/stats.js';
 import fs from 'fs';
 
 // ─── Graceful shutdown ───────────────────────────────────────────────────────
@@ -74,6 +93,107 @@ function setupQuitListener() {
   stdin.on('keypress', onKeypress);
 }
 
+// ─── Court selection ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve the court allow-list for this run.
+ * Precedence: --courts CASS,GHCC (this run only) > settings.json "courts"
+ * > DEFAULT_COURTS.  Codes are upper-cased to match the ECLI court segment.
+ */
+function resolveCourts(settings) {
+  const flagIdx = process.argv.indexOf('--courts');
+  let courts = null;
+  if (flagIdx !== -1) {
+    const value = process.argv[flagIdx + 1];
+    if (!value || value.startsWith('--')) {
+      logError('--courts requires a comma-separated list of court codes, e.g. CASS,GHCC');
+      process.exit(1);
+    }
+    courts = value.split(',');
+  } else if (Array.isArray(settings.courts) && settings.courts.length > 0) {
+    courts = settings.courts;
+  } else {
+    courts = DEFAULT_COURTS;
+  }
+  return [...new Set(courts.map(c => String(c).trim().toUpperCase()).filter(Boolean))];
+}
+
+// ─── Date window ─────────────────────────────────────────────────────────────
+
+/**
+ * Read the value following `flag` on the command line (null when the flag is
+ * absent).  Exits with an error when the value is missing.
+ */
+function readValueArg(flag, expected) {
+  const flagIdx = process.argv.indexOf(flag);
+  if (flagIdx === -1) return null;
+  const value = process.argv[flagIdx + 1];
+  if (!value || value.startsWith('--')) {
+    logError(`${flag} requires ${expected}.`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Read an optional YYYY-MM-DD value following `flag` on the command line.
+ * Exits with an error when the flag is present but the value is malformed.
+ */
+function readDateArg(flag) {
+  const flagIdx = process.argv.indexOf(flag);
+  if (flagIdx === -1) return null;
+  const value = process.argv[flagIdx + 1];
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    logError(`${flag} requires a date in YYYY-MM-DD format.`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Resolve the --since / --until crawl window (inclusive, either side optional).
+ */
+function resolveDateWindow() {
+  const since = readDateArg('--since');
+  const until = readDateArg('--until');
+  if (since && until && since > until) {
+    logError(`--since (${since}) is after --until (${until}).`);
+    process.exit(1);
+  }
+  return { since, until };
+}
+
+// ─── Storage backend ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve the storage backend of the data files and missing_eli.json.
+ * Precedence: --storage json|sqlite (this run only) > settings.json "storage"
+ * > json.
+ */
+function resolveStorage(settings) {
+  const flagIdx = process.argv.indexOf('--storage');
+  if (flagIdx === -1) return settings.storage || 'json';
+  const value = process.argv[flagIdx + 1];
+  if (!STORAGE_BACKENDS.includes(value)) {
+    logError(`--storage requires one of: ${STORAGE_BACKENDS.join(', ')}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Print the per-court breakdown collected by commitSitemapResult.
+ */
+function logCourtBreakdown(byCourt = {}) {
+  const courts = Object.keys(byCourt).sort();
+  if (courts.length === 0) return;
+  logInfo(`  By court:`);
+  for (const court of courts) {
+    const { saved, skipped } = byCourt[court];
+    logInfo(`    ${court.padEnd(10)} saved ${String(saved).padStart(6)}   skipped ${String(skipped).padStart(6)}`);
+  }
+}
+
 // ─── Fix Articles From Log ─── see src/fix_articles.js ──────────────────────
 
 // ─── Main Crawling Logic ─────────────────────────────────────────────────────
@@ -99,7 +219,8 @@ async function main() {
     console.log(`                            have an ELI assigned, integrating them into the data files.`);
     console.log(`  ${chalk.cyan('--fix-errors')}             Re-process every sitemap listed in errors.json using`);
     console.log(`                            the latest algorithm. Entries that are now successfully`);
-    console.log(`                            parsed are removed from errors.json.`);
+    console.log(`                            parsed are removed from errors.json. Archived responses`);
+    console.log(`                            are used when available, the network otherwise.`);
     console.log(`  ${chalk.cyan('--find-missing-eli')}      Search for the correct ELI of each entry in`);
     console.log(`                            missing_eli.json by consulting log.json and the`);
     console.log(`                            ejustice.be website. Interactive (yes/no/all/quit).`);
@@ -117,6 +238,84 @@ async function main() {
     console.log(`                            cross-references into the target ELI data files.`);
     console.log(`                            The mapping file must have "from", "to" and "articles"`);
     console.log(`                            keys (see old_to_new_civil_code_mapping.full.json).`);
+    console.log(`  ${chalk.cyan('--rebuild')}                Replay every archived sitemap into a fresh data.rebuild/`);
+    console.log(`                            directory, print the ECLI-article pairs added/removed per`);
+    console.log(`                            file versus data/, then swap it in (data/ → data.old/)`);
+    console.log(`                            after confirmation, or directly with ${chalk.cyan('--yes')}.`);
+    console.log(`  ${chalk.cyan('--courts <list>')}         Comma-separated court codes to crawl (e.g. CASS,GHCC),`);
+    console.log(`                            overriding the "courts" entry of settings.json`);
+    console.log(`                            (default: ${DEFAULT_COURTS.join(',')}). Can be combined with`);
+    console.log(`                            the default crawl, <url>, --fix-errors and --rebuild.`);
+    console.log(`  ${chalk.cyan('--since <YYYY-MM-DD>')}    Only crawl sitemap indexes dated on or after this day.`);
+    console.log(`  ${chalk.cyan('--until <YYYY-MM-DD>')}    Only crawl sitemap indexes dated on or before this day.`);
+    console.log(`  ${chalk.cyan('--ignore-processed')}      Re-crawl sitemap indexes and sitemaps even if settings.json`);
+    console.log(`                            marks them as processed (e.g. to backfill a period after`);
+    console.log(`                            a parser fix, usually with --since / --until). Also retries`);
+    console.log(`                            the URLs in dead_urls.json (sitemaps gone with HTTP 404, 410, …).`);
+    console.log(`  ${chalk.cyan('--check-republished')}     Re-request already-processed sitemap indexes (conditionally,`);
+    console.log(`                            via ETag / Last-Modified) and report those Juportal has`);
+    console.log(`                            republished since they were archived. Their changed sitemaps`);
+    console.log(`                            (by <lastmod>, or content) are re-processed, replacing the`);
+    console.log(`                            stored judgements rather than merging into them.`);
+    console.log(`  ${chalk.cyan('--validate')}               Check the data files, missing_eli.json and errors.json against`);
+    console.log(`                            schemas/, ECLI and date syntax, normalised article keys,`);
+    console.log(`                            split-text ranges and ECLIs under both "general" and an`);
+    console.log(`                            article. Writes validation_report.json (or ${chalk.cyan('--report <file>')}).`);
+    console.log(`                            With ${chalk.cyan('--fix')}, safe repairs are applied (see src/validate.js).`);
+    console.log(`  ${chalk.cyan('--search "<query>"')}      Search the FR / NL abstracts (accent- and case-insensitive,`);
+    console.log(`                            word endings ignored); every word must occur, a hyphenated`);
+    console.log(`                            compound ("non-concurrence") as a whole.  Lists the`);
+    console.log(`                            best matching ECLIs with their ELI/article citations and a`);
+    console.log(`                            snippet.  ${chalk.cyan('--lang fr|nl')} searches one language only,`);
+    console.log(`                            ${chalk.cyan('--limit <n>')} changes the number of results (default ${SEARCH_RESULT_LIMIT}).`);
+    console.log(`  ${chalk.cyan('--search-reindex')}         Rebuild search_index.json from the data files (the first`);
+    console.log(`                            --search builds it; later runs keep it up to date).`);
+    console.log(`  ${chalk.cyan('--reindex')}                Rebuild ecli_index.json (each ECLI with its court, date,`);
+    console.log(`                            abstracts and cited ELI/articles, missing_eli.json legal bases`);
+    console.log(`                            included) and search_index.json. Both are then kept up to`);
+    console.log(`                            date by every run.`);
+    console.log(`  ${chalk.cyan('--export <format>')}       Write one flat row per law, article and ECLI (eli, law title`);
+    console.log(`                            if known, article, ecli, court, date, roleNumber, abstracts,`);
+    console.log(`                            sitemaps) as ${chalk.cyan('csv')} or ${chalk.cyan('jsonl')}, or the same citations as RDF`);
+    console.log(`                            (${chalk.cyan('ttl')} Turtle or ${chalk.cyan('jsonld')} JSON-LD; ELI and ECLI vocabularies, with`);
+    console.log(`                            the "related" cross-references) to export.<format>, or ${chalk.cyan('--out <file>')}.`);
+    console.log(`                            Filters: ${chalk.cyan('--law <eli>[,<eli>…]')}, ${chalk.cyan('--articles <from>..<to>')}`);
+    console.log(`                            (or one article) and --since / --until (judgement date).`);
+    console.log(`  ${chalk.cyan('--export-annotated <eli>')} Render a law with its case law (each cited article followed`);
+    console.log(`                            by the abstracts citing it, oldest first, linked to Juportal,`);
+    console.log(`                            and its "related" cross-references) as Markdown and HTML in`);
+    console.log(`                            annotated/. A split text (ELI of any part, or its name, e.g.`);
+    console.log(`                            ${chalk.gray('"Code judiciaire"')}) is rendered whole. ${chalk.cyan('--lang fr|nl')} (default fr);`);
+    console.log(`                            ${chalk.cyan('--courts <list>')} keeps some courts only.`);
+    console.log(`  ${chalk.cyan('--stats')}                  Report the most-cited laws and articles, citations per year,`);
+    console.log(`                            judgements per law type, the share of "general" citations and`);
+    console.log(`                            missing_eli.json entries per key. Prints the first ${STATS_TOP_COUNT} rows`);
+    console.log(`                            of each ranking (or ${chalk.cyan('--limit <n>')}) and writes all of them to`);
+    console.log(`                            stats_report.json (or ${chalk.cyan('--report <file>')}).`);
+    console.log(`  ${chalk.cyan('--serve [port]')}           Serve the dataset as a read-only JSON API on 127.0.0.1`);
+    console.log(`                            (port ${SERVE_PORT} by default): /laws, /laws/<eli>, /laws/<eli>/articles/<n>,`);
+    console.log(`                            /judgements/<ecli> (needs ${chalk.cyan('--reindex')} once), /missing-eli.`);
+    console.log(`                            Paginated, with ETags; described by /openapi.json. Runs beside`);
+    console.log(`                            a crawl (no lock).`);
+    console.log(`  ${chalk.cyan('--migrate')}                Rewrite the data files and missing_eli.json written with an`);
+    console.log(`                            older "schemaVersion" in the current shape (older files are`);
+    console.log(`                            upgraded in memory whenever they are loaded, regardless).`);
+    console.log(`  ${chalk.cyan('--storage <json|sqlite>')} Where the data files and missing_eli.json are kept:`);
+    console.log(`                            JSON files (data/, default) or juportal.sqlite, overriding`);
+    console.log(`                            the "storage" entry of settings.json. SQLite needs the`);
+    console.log(`                            optional better-sqlite3 package.`);
+    console.log(`  ${chalk.cyan('--import-json')}            Load data/ and missing_eli.json into juportal.sqlite,`);
+    console.log(`                            replacing its data files.`);
+    console.log(`  ${chalk.cyan('--export-json')}            Regenerate data/ and missing_eli.json from juportal.sqlite.`);
+    console.log(`  ${chalk.cyan('--dry-run')}                Run any command without writing data files or stores;`);
+    console.log(`                            a diff of what would change (files touched, articles`);
+    console.log(`                            and ECLI-article pairs added, ECLIs moved) is printed.`);
+    console.log(`  ${chalk.cyan('--offline')}                Read sitemaps, sitemap indexes, robots.txt and judgement`);
+    console.log(`                            pages only from the local archive (archive/); nothing`);
+    console.log(`                            is downloaded. Can be combined with any crawl command.`);
+    console.log(`  ${chalk.cyan('--no-archive')}             Do not store downloaded responses in archive/, only their`);
+    console.log(`                            ETag / Last-Modified and content hash (for conditional`);
+    console.log(`                            requests and --check-republished).`);
     console.log(`  ${chalk.cyan('--log')}                    Log each saved judgement to log.json with full detail`);
     console.log(`                            (for debugging / auditing the crawl logic).`);
     console.log(`  ${chalk.cyan('--help')}, ${chalk.cyan('-h')}             Show this help message.\n`);
@@ -126,6 +325,212 @@ async function main() {
     return;
   }
 
+  // --dry-run: every write goes to an in-memory overlay and the resulting
+  // diff is printed by flushAll() instead of touching the files.
+  if (process.argv.includes('--dry-run')) {
+    enableDryRun();
+    logWarn(`⚠ Dry run: nothing will be written to data/, archive/, settings.json, missing_eli.json or errors.json.`);
+  }
+
+  // --serve only reads, for as long as it runs: it takes no lock (so crawls
+  // can go on beside it) and writes nothing.
+  const serving = process.argv.includes('--serve');
+  if (serving) enableDryRun({ report: false });
+
+  // One writer at a time (see src/lock.js); a dry run writes nothing.
+  if (!process.argv.includes('--dry-run') && !serving) {
+    try {
+      acquireLock(process.argv.slice(2).join(' ') || '(crawl)');
+    } catch (err) {
+      // A search, an export, --stats or --validate without --fix only reads
+      // the data files: it goes on without writing anything (not even the
+      // search index a search may build).
+      const readers = { '--search': 'searching', '--export': 'exporting', '--export-annotated': 'exporting', '--stats': 'computing statistics' };
+      if (!process.argv.includes('--fix')) readers['--validate'] = 'validating';
+      const reader = Object.keys(readers).find(flag => process.argv.includes(flag));
+      if (!reader) {
+        logFatal(err.message);
+        process.exit(1);
+      }
+      enableDryRun({ report: false });
+      logWarn(`⚠ ${err.message} — ${readers[reader]} read-only.`);
+    }
+  }
+
+  try {
+    configureStorage(resolveStorage(loadSettings()));
+  } catch (err) {
+    logFatal(err.message);
+    process.exit(1);
+  }
+  if (getStorage() !== 'json') {
+    logInfo(`${timestamp()} Storage: ${chalk.cyan(getStorage())}`);
+  }
+
+  // search_index.json and ecli_index.json follow every data file and
+  // missing_eli.json write from here on.
+  trackSearchIndex();
+  trackEcliIndex();
+
+  // A run killed before flushAll() left its bookkeeping in journal.jsonl.
+  replayJournal();
+
+  if (process.argv.includes('--import-json') || process.argv.includes('--export-json')) {
+    if (process.argv.includes('--dry-run')) {
+      logFatal('--import-json and --export-json cannot be combined with --dry-run.');
+      process.exit(1);
+    }
+    // Pending changes go to the current backend before it is copied.
+    flushAll();
+    try {
+      if (process.argv.includes('--import-json')) {
+        const { files, records, missingEliKeys } = importJsonIntoSqlite();
+        logSuccess(`✔ Imported ${files} data file(s) (${records} ECLI-article pairs)${missingEliKeys !== null ? ` and ${missingEliKeys} missing_eli.json key(s)` : ''} into the SQLite database.`);
+        if (getStorage() !== 'sqlite') {
+          logInfo(chalk.gray(`  Set "storage": "sqlite" in settings.json (or pass --storage sqlite) to use it.`));
+        }
+      } else {
+        const { files, missingEliKeys, stale } = exportSqliteToJson();
+        logSuccess(`✔ Exported ${files} data file(s)${missingEliKeys !== null ? ` and ${missingEliKeys} missing_eli.json key(s)` : ''} from the SQLite database.`);
+        if (stale.length > 0) {
+          logWarn(`⚠ ${stale.length} file(s) in data/ are not in the database and were left alone: ${stale.slice(0, 5).join(', ')}${stale.length > 5 ? ', …' : ''}`);
+        }
+      }
+    } catch (err) {
+      logFatal(err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Raw-response archive: --offline reads only from archive/, --no-archive
+  // keeps only the validators of downloads there (see archive.js) and a dry
+  // run, which writes nothing, not even those.
+  const offline = process.argv.includes('--offline');
+  configureFetch({
+    mode: offline ? 'offline' : 'network',
+    archive: isDryRun() ? 'none' : process.argv.includes('--no-archive') ? 'validators' : 'responses',
+  });
+  if (offline) {
+    logInfo(`${timestamp()} ${chalk.bold('Offline mode:')} responses are read from the local archive only.`);
+  }
+
+  if (process.argv.includes('--validate')) {
+    const reportIdx = process.argv.indexOf('--report');
+    const reportFile = reportIdx !== -1 ? process.argv[reportIdx + 1] : undefined;
+    if (reportIdx !== -1 && (!reportFile || reportFile.startsWith('--'))) {
+      logError('--report requires a file path.');
+      process.exit(1);
+    }
+    validateDataset({ fix: process.argv.includes('--fix'), reportFile });
+    return;
+  }
+
+  if (serving) {
+    const portArg = process.argv[process.argv.indexOf('--serve') + 1];
+    const port = portArg && !portArg.startsWith('--') ? Number(portArg) : SERVE_PORT;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      logError('--serve takes an optional port number, e.g. --serve 8080');
+      process.exit(1);
+    }
+    try {
+      await serveDataset(port);
+    } catch (err) {
+      logFatal(`Cannot listen on port ${port}: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (process.argv.includes('--search')) {
+    const query = process.argv[process.argv.indexOf('--search') + 1];
+    if (!query || query.startsWith('--')) {
+      logError('--search requires a query, e.g. --search "responsabilité contractuelle"');
+      process.exit(1);
+    }
+    const langIdx = process.argv.indexOf('--lang');
+    const lang = langIdx !== -1 ? process.argv[langIdx + 1]?.toLowerCase() : null;
+    if (langIdx !== -1 && !LANGS.includes(lang)) {
+      logError(`--lang requires one of: ${LANGS.join(', ')}`);
+      process.exit(1);
+    }
+    const limitIdx = process.argv.indexOf('--limit');
+    const limit = limitIdx !== -1 ? Number(process.argv[limitIdx + 1]) : SEARCH_RESULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+      logError('--limit requires a positive number.');
+      process.exit(1);
+    }
+    runSearch(query, { lang, limit });
+    return;
+  }
+
+  if (process.argv.includes('--export-annotated')) {
+    const law = readValueArg('--export-annotated', 'an ELI, a data file name or a split text name');
+    const lang = (readValueArg('--lang', `one of: ${LANGS.join(', ')}`) ?? 'fr').toLowerCase();
+    if (!LANGS.includes(lang)) {
+      logError(`--lang requires one of: ${LANGS.join(', ')}`);
+      process.exit(1);
+    }
+    try {
+      exportAnnotated(law, { lang, courts: process.argv.includes('--courts') ? resolveCourts({}) : null });
+    } catch (err) {
+      logFatal(err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (process.argv.includes('--export')) {
+    const format = process.argv[process.argv.indexOf('--export') + 1]?.toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      logError(`--export requires one of: ${EXPORT_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+    const file = readValueArg('--out', 'a file path');
+    const laws = readValueArg('--law', 'one or more comma-separated ELIs');
+    const articles = readValueArg('--articles', 'an article or a range, e.g. 1382..1386');
+    try {
+      await exportCitations({
+        format,
+        file,
+        laws: laws && laws.split(',').map(law => law.trim()).filter(Boolean),
+        articles,
+        ...resolveDateWindow(),
+      });
+    } catch (err) {
+      logFatal(err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (process.argv.includes('--stats')) {
+    const reportFile = readValueArg('--report', 'a file path') ?? undefined;
+    const limit = Number(readValueArg('--limit', 'a positive number') ?? STATS_TOP_COUNT);
+    if (!Number.isInteger(limit) || limit < 1) {
+      logError('--limit requires a positive number.');
+      process.exit(1);
+    }
+    reportStats({ reportFile, limit });
+    return;
+  }
+
+  if (process.argv.includes('--search-reindex')) {
+    buildSearchIndex();
+    return;
+  }
+
+  if (process.argv.includes('--reindex')) {
+    buildEcliIndex();
+    buildSearchIndex();
+    return;
+  }
+
+  if (process.argv.includes('--migrate')) {
+    migrateStoredData();
+    return;
+  }
+
   if (process.argv.includes('--process-missing-eli')) {
     processMissingEliFile();
     flushAll();
@@ -144,6 +549,9 @@ async function main() {
 
     logInfo(`Found ${errorSitemapUrls.length} sitemap(s) with parse errors to reprocess.`);
 
+    // Re-parse archived responses where possible instead of re-downloading.
+    if (!offline) configureFetch({ mode: 'prefer-archive' });
+
     // Build a sitemapUrl → log-entry map from log.json so we can resolve errors
     // offline without re-fetching from juportal.  log.json is only populated
     // when --log was used on a previous run, so silently fall back to network
@@ -167,11 +575,13 @@ async function main() {
     saveErrorsFile({});
 
     const settings = loadSettings();
+    const courts = resolveCourts(settings);
     let fixedCount = 0;
     let partialCount = 0;
     let unchangedCount = 0;
     let networkErrorCount = 0;
     let offlineCount = 0;
+    let deadCount = 0;
 
     for (let i = 0; i < errorSitemapUrls.length; i++) {
       const sitemapUrl = errorSitemapUrls[i];
@@ -221,7 +631,7 @@ async function main() {
         if (stillUnparseable.length > 0) {
           const currentErrors = loadErrorsFile();
           currentErrors[sitemapUrl] = stillUnparseable;
-          saveErrorsFile(currentErrors);
+          saveErrorsFile(currentErrors, [sitemapUrl]);
         }
 
         if (offlineFixed > 0 && stillUnparseable.length === 0) {
@@ -239,9 +649,19 @@ async function main() {
         continue; // skip network fetch
       }
 
-      // ── Network re-fetch (no log entry found) ──────────────────────────────
-      const counters = { skippedCourt: 0, savedJudgements: 0, errorCount: 0 };
-      const success = await processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed: false, log: logEnabled });
+      // ── Re-fetch (no log entry found) — archive first, then network ────────
+      const counters = { skippedCourt: 0, savedJudgements: 0, savedConclusions: 0, errorCount: 0, deadCount: 0, recrawledSitemaps: 0, byCourt: {} };
+      const success = await processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed: false, log: logEnabled, courts });
+
+      if (counters.deadCount > 0) {
+        // The sitemap is gone (recorded in dead_urls.json); keep its errors.
+        logWarn(`⚠ Sitemap no longer exists — keeping original errors for ${sitemapUrl}`);
+        const currentErrors = loadErrorsFile();
+        currentErrors[sitemapUrl] = originalTexts;
+        saveErrorsFile(currentErrors, [sitemapUrl]);
+        deadCount++;
+        continue;
+      }
 
       if (!success && counters.errorCount > 0) {
         // Network or fatal error — restore original errors for this URL so they
@@ -249,7 +669,7 @@ async function main() {
         logError(`✖ Network/processing error — restoring original errors for ${sitemapUrl}`);
         const currentErrors = loadErrorsFile();
         currentErrors[sitemapUrl] = originalTexts;
-        saveErrorsFile(currentErrors);
+        saveErrorsFile(currentErrors, [sitemapUrl]);
         networkErrorCount++;
         continue;
       }
@@ -277,6 +697,7 @@ async function main() {
     if (partialCount > 0) logWarn(`  Partially fixed:  ${partialCount}`);
     logInfo(`  Unchanged:        ${unchangedCount}`);
     if (networkErrorCount > 0) logError(`  Network errors:   ${networkErrorCount}`);
+    if (deadCount > 0) logWarn(`  Dead sitemaps:    ${deadCount}`);
     logInfo('');
     flushAll();
     return;
@@ -310,14 +731,25 @@ async function main() {
     return;
   }
 
+  if (process.argv.includes('--rebuild')) {
+    const settings = loadSettings();
+    await rebuildFromArchive({
+      courts: resolveCourts(settings),
+      log: process.argv.includes('--log'),
+      assumeYes: process.argv.includes('--yes'),
+    });
+    return;
+  }
+
   // If a URL is passed as an argument, process only that sitemap or sitemap index.
   // The already-processed check is bypassed; settings are NOT updated.
   const targetUrl = process.argv.slice(2).find(a => a.startsWith('http'));
   if (targetUrl) {
     const logEnabled = process.argv.includes('--log');
     logInfo(`${timestamp()} ${chalk.bold('Targeted run:')} ${chalk.cyan(targetUrl)}`);
-    const counters = { skippedCourt: 0, savedJudgements: 0, errorCount: 0 };
+    const counters = { skippedCourt: 0, savedJudgements: 0, savedConclusions: 0, errorCount: 0, deadCount: 0, recrawledSitemaps: 0, byCourt: {} };
     const settings = loadSettings(); // read-only for targeted runs
+    const courts = resolveCourts(settings);
 
     let sitemapUrls;
     if (targetUrl.includes('sitemap_index')) {
@@ -336,16 +768,22 @@ async function main() {
     for (let i = 0; i < sitemapUrls.length; i++) {
       const sitemapUrl = sitemapUrls[i];
       logInfo(chalk.gray(`${timestamp()} [${i + 1}/${sitemapUrls.length}] ${sitemapUrl}`));
-      await processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed: false, log: logEnabled });
+      await processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed: false, log: logEnabled, courts });
     }
 
-    logSuccess(`✔ Done — saved: ${counters.savedJudgements}, skipped: ${counters.skippedCourt}, errors: ${counters.errorCount}`);
+    logSuccess(`✔ Done — saved: ${counters.savedJudgements}, conclusions: ${counters.savedConclusions}, skipped: ${counters.skippedCourt}, errors: ${counters.errorCount}, dead: ${counters.deadCount}`);
+    logCourtBreakdown(counters.byCourt);
     flushAll();
     return;
   }
 
   const settings = loadSettings();
   const logEnabled = process.argv.includes('--log');
+  const courts = resolveCourts(settings);
+  const { since, until } = resolveDateWindow();
+  const ignoreProcessed = process.argv.includes('--ignore-processed');
+  const checkRepublished = process.argv.includes('--check-republished');
+  logInfo(`${timestamp()} Courts: ${chalk.cyan(courts.join(', '))}`);
 
   // Step 1: Fetch all sitemap index URLs from robots.txt
   let sitemapIndexUrls;
@@ -356,29 +794,121 @@ async function main() {
     process.exit(1);
   }
 
+  if (since || until) {
+    const allCount = sitemapIndexUrls.length;
+    sitemapIndexUrls = filterUrlsByDateWindow(sitemapIndexUrls, { since, until });
+    logInfo(`${timestamp()} Date window ${chalk.cyan(since || '…')} → ${chalk.cyan(until || '…')}: ${sitemapIndexUrls.length} of ${allCount} sitemap indexes`);
+  }
+  if (ignoreProcessed) {
+    logWarn(`⚠ --ignore-processed: already-processed sitemaps will be crawled again.`);
+  }
+
+  // Dead URLs (dead_urls.json) count as processed.
+  const isIndexProcessed = url => !ignoreProcessed && (settings.processedSitemapIndexes.includes(url) || isDeadUrl(url));
+  const isSitemapProcessed = url => !ignoreProcessed && (settings.processedSitemaps.includes(url) || isDeadUrl(url));
+
   const totalSitemapIndexes = sitemapIndexUrls.length;
-  const pendingIndexCount = sitemapIndexUrls.filter(
-    url => !settings.processedSitemapIndexes.includes(url)
-  ).length;
+  const pendingIndexCount = sitemapIndexUrls.filter(url => !isIndexProcessed(url)).length;
   progress.configure(totalSitemapIndexes, pendingIndexCount, SITEMAP_CONCURRENCY);
 
+  // Sitemap fetch concurrency adapts to how juportal copes: every request
+  // outcome feeds the limiter, shared by all indexes.
+  const limiter = new AdaptiveLimiter({
+    initial: SITEMAP_CONCURRENCY,
+    min: SITEMAP_CONCURRENCY_MIN,
+    max: SITEMAP_CONCURRENCY_MAX,
+    onChange: (limit) => {
+      progress.setConcurrency(limit);
+      logInfo(chalk.gray(`${timestamp()}   Concurrency → ${limit}`));
+    },
+  });
+  onFetchOutcome(({ latencyMs, kind }) => {
+    if (kind === null) limiter.recordSuccess(latencyMs);
+    else if (kind === 'transient') limiter.recordOverload();
+  });
+
+  // Keep data files in memory between sitemaps; written at index boundaries.
+  enableDataCache();
+
   let processedCount = 0;
   let newSitemapIndexCount = 0;
-  let skippedCourt = 0;
-  let savedJudgements = 0;
-  let errorCount = 0;
+  const republishedIndexes = [];
+  // Shared by every commit; commits are serialised so in-place updates are safe.
+  const counters = { skippedCourt: 0, savedJudgements: 0, savedConclusions: 0, errorCount: 0, deadCount: 0, recrawledSitemaps: 0, byCourt: {} };
+
+  // Sitemaps of up to OPEN_INDEX_LIMIT indexes share the fetch slots, so the
+  // slow tail of one index overlaps with the start of the next.  Commits of
+  // all indexes go through one queue so concurrent fetches never race on disk.
+  const serialQ = new SerialQueue();
+  const openIndexes = new Semaphore(OPEN_INDEX_LIMIT);
+  const indexPromises = [];
+
+  // Called (through serialQ) once every sitemap of an index is committed.
+  // A failure is reported and leaves the index unprocessed; the crawl goes on.
+  const finishIndex = (index) => {
+    try {
+      // Mark sitemap index as processed (only if all sitemaps succeeded)
+      if (index.ok) {
+        // Individual sitemap URLs for this index are dropped from settings —
+        // the index-level entry already covers them on future runs.
+        markSitemapIndexProcessed(settings, index.url, index.sitemapUrls);
+      }
+      flushDataFiles();
+      if (index.ok) logSuccess(`✔ Completed sitemap index: ${index.dateStr}`);
+      else logWarn(`⚠ Sitemap index ${index.dateStr} partially processed (some errors occurred)`);
+    } catch (err) {
+      logError(`✖ Could not complete sitemap index ${index.dateStr}: ${err.message}`);
+      counters.errorCount++;
+      if (index.ok) unmarkSitemapIndex(settings, index.url);
+      index.ok = false;
+    } finally {
+      progress.endIndex(index.sitemapUrls.length);
+      openIndexes.release();
+    }
+  };
 
-  // Step 2: Process each sitemap_index (most recent first)
+  // Step 2: Open each sitemap_index (most recent first)
   for (const sitemapIndexUrl of sitemapIndexUrls) {
     processedCount++;
     const dateStr = extractDateFromUrl(sitemapIndexUrl);
 
     // Check if already processed
-    if (settings.processedSitemapIndexes.includes(sitemapIndexUrl)) {
-      logInfo(chalk.gray(`${timestamp()} [${processedCount}/${totalSitemapIndexes}] Skipping (already processed): ${dateStr}`));
+    if (isIndexProcessed(sitemapIndexUrl)) {
+      const dead = isDeadUrl(sitemapIndexUrl);
+      const reason = dead ? 'dead URL' : 'already processed';
+      logInfo(chalk.gray(`${timestamp()} [${processedCount}/${totalSitemapIndexes}] Skipping (${reason}): ${dateStr}`));
+      if (checkRepublished && !dead) {
+        try {
+          const { state, body, previousBody } = await checkSitemapIndexChanged(sitemapIndexUrl);
+          if (state === 'changed') {
+            republishedIndexes.push(sitemapIndexUrl);
+            logWarn(`⚠ Sitemap index ${dateStr} was republished since it was processed`);
+            const changedSitemaps = await findChangedSitemaps(sitemapIndexUrl, previousBody, body);
+            logInfo(`${timestamp()}   ${changedSitemaps.length} changed sitemap(s) in ${dateStr}`);
+            // Fetched through the shared limiter; the removal and commits go
+            // through the commit queue so no other commit lands in between.
+            const ok = await recrawlSitemaps(changedSitemaps, settings, counters, { courts, log: logEnabled, limiter, commitQueue: serialQ });
+            flushDataFiles();
+            if (!ok) {
+              // The new index is archived now, so it would not be detected as
+              // changed again: crawl the whole index anew on the next run.
+              unmarkSitemapIndex(settings, sitemapIndexUrl);
+              logWarn(`⚠ Re-crawl of ${dateStr} incomplete — the index will be crawled again on the next run`);
+            }
+          } else if (state === 'unknown') {
+            logInfo(chalk.gray(`  No archived copy of ${dateStr} to compare with — stored one for next time.`));
+          }
+        } catch (err) {
+          logWarn(`⚠ Could not check sitemap index ${dateStr} for changes: ${err.message}`);
+        }
+      }
       continue;
     }
 
+    // Backpressure: wait until fewer than OPEN_INDEX_LIMIT indexes have
+    // sitemaps queued or in flight.
+    await openIndexes.acquire();
+
     logInfo(`\n${timestamp()} ${chalk.bold(`[${processedCount}/${totalSitemapIndexes}]`)} Processing sitemap index: ${chalk.cyan(dateStr)}`);
     logInfo(chalk.gray(`  URL: ${sitemapIndexUrl}`));
     newSitemapIndexCount++;
@@ -389,81 +919,75 @@ async function main() {
       sitemapUrls = await fetchSitemapUrls(sitemapIndexUrl);
     } catch (err) {
       logError(`✖ Failed to fetch sitemap index ${sitemapIndexUrl}: ${err.message}`);
-      errorCount++;
+      if (err.kind === 'permanent') {
+        recordDeadUrl(sitemapIndexUrl, { status: err.status, message: err.message });
+        logWarn(`⚠ Recorded dead sitemap index in dead_urls.json: ${sitemapIndexUrl}`);
+        counters.deadCount++;
+      } else {
+        counters.errorCount++;
+      }
       progress.endIndex();
+      openIndexes.release();
       continue;
     }
 
     logInfo(`${timestamp()}   Found ${sitemapUrls.length} sitemaps for ${dateStr}`);
     progress.beginIndex(sitemapUrls.length);
 
-    let indexFullyProcessed = true;
-
-    // Step 4: Fetch up to SITEMAP_CONCURRENCY sitemaps in parallel while
-    // serialising all disk writes through a queue to prevent file races.
-    const sem = new Semaphore(SITEMAP_CONCURRENCY);
-    const serialQ = new SerialQueue();
+    const index = { url: sitemapIndexUrl, dateStr, sitemapUrls, ok: true };
     const sitemapPromises = [];
 
+    // Step 4: Queue the sitemaps; they are fetched in parallel (up to the
+    // limiter's current limit) with those of the other open indexes.
     for (let i = 0; i < sitemapUrls.length; i++) {
       const sitemapUrl = sitemapUrls[i];
       const sitemapIdx = i;
 
       // Check if already processed
-      if (settings.processedSitemaps.includes(sitemapUrl)) {
+      if (isSitemapProcessed(sitemapUrl)) {
         progress.currentIndexDone++;
         continue;
       }
 
       const p = (async () => {
-        // Acquire a slot — blocks until fewer than SITEMAP_CONCURRENCY fetches
+        // Acquire a slot — blocks until fewer than limiter.limit fetches
         // are in-flight.
-        await sem.acquire();
-        logInfo(`${timestamp()}   [${sitemapIdx + 1}/${sitemapUrls.length}] Fetching: ${sitemapUrl}`);
+        await limiter.acquire();
+        logInfo(`${timestamp()}   [${dateStr} ${sitemapIdx + 1}/${sitemapUrls.length}] Fetching: ${sitemapUrl}`);
         let result;
         const fetchStart = Date.now();
         try {
-          result = await fetchSitemapResult(sitemapUrl);
+          result = await fetchSitemapResult(sitemapUrl, { courts });
         } finally {
-          sem.release();
+          limiter.release();
         }
         const fetchMs = Date.now() - fetchStart;
 
-        // Commits are serialised so concurrent fetches never race on disk.
         await serialQ.enqueue(() => {
-          const count = { skippedCourt, savedJudgements, errorCount };
-          const ok = commitSitemapResult(result, sitemapUrl, settings, count, { log: logEnabled });
-          skippedCourt = count.skippedCourt;
-          savedJudgements = count.savedJudgements;
-          errorCount = count.errorCount;
-          if (!ok) indexFullyProcessed = false;
+          const ok = commitSitemapResult(result, sitemapUrl, settings, counters, { log: logEnabled });
+          if (!ok) index.ok = false;
           progress.currentIndexDone++;
           progress.recordSitemapTime(fetchMs);
         });
-      })();
+      })().catch((err) => {
+        // Unexpected (fetch and parse errors come back as results): the
+        // index stays unprocessed.
+        logError(`✖ Failed to process sitemap ${sitemapUrl}: ${err.message}`);
+        counters.errorCount++;
+        index.ok = false;
+        progress.currentIndexDone++;
+      });
 
       sitemapPromises.push(p);
     }
 
-    // Wait for all sitemaps in this index to complete.
-    await Promise.all(sitemapPromises);
-
-    // Mark sitemap index as processed (only if all sitemaps succeeded)
-    if (indexFullyProcessed) {
-      settings.processedSitemapIndexes.push(sitemapIndexUrl);
-      // Remove individual sitemap URLs for this index — they are now redundant
-      // because the index-level entry already covers them on future runs.
-      const sitemapSet = new Set(sitemapUrls);
-      settings.processedSitemaps = settings.processedSitemaps.filter(
-        url => !sitemapSet.has(url)
-      );
-      saveSettings(settings);
-      logSuccess(`✔ Completed sitemap index: ${dateStr}`);
-    } else {
-      logWarn(`⚠ Sitemap index ${dateStr} partially processed (some errors occurred)`);
-    }
-    progress.endIndex();
+    // The index is finished once its last commit is done; the loop moves on
+    // to the next index meanwhile.
+    indexPromises.push(Promise.all(sitemapPromises).then(() => serialQ.enqueue(() => finishIndex(index))));
   }
+
+  // Wait for the sitemaps of the indexes still open.
+  await Promise.all(indexPromises);
   // Permanently deactivate the progress bar so that logInfo() in the summary
   // block no longer redraws it to stderr (which would mask the quit prompt).
   progress.finish();
@@ -473,14 +997,29 @@ async function main() {
   console.log(chalk.bold.cyan('║              CRAWL COMPLETE              ║'));
   console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
   logInfo(`  Total sitemap indexes:  ${totalSitemapIndexes}`);
-  logSuccess(`  Judgements saved:       ${savedJudgements}`);
-  logInfo(`  Non-CASS skipped:       ${skippedCourt}`);
-  if (errorCount > 0) {
-    logError(`  Errors:                 ${errorCount}`);
+  logSuccess(`  Judgements saved:       ${counters.savedJudgements}`);
+  logSuccess(`  Conclusions saved:      ${counters.savedConclusions}`);
+  logInfo(`  Skipped:                ${counters.skippedCourt}`);
+  logCourtBreakdown(counters.byCourt);
+  const fetchStats = getFetchStats();
+  if (fetchStats.notModified > 0) {
+    logInfo(`  Not modified (304):     ${fetchStats.notModified}` + chalk.gray(` of ${fetchStats.notModified + fetchStats.downloaded} request(s)`));
+  }
+  if (republishedIndexes.length > 0) {
+    logWarn(`  Republished indexes:    ${republishedIndexes.length}`);
+    for (const url of republishedIndexes) logWarn(chalk.gray(`    ${url}`));
+    logInfo(`  Re-crawled sitemaps:    ${counters.recrawledSitemaps}`);
+  }
+  if (counters.deadCount > 0) {
+    logWarn(`  Dead URLs:              ${counters.deadCount}`);
+  }
+  if (counters.errorCount > 0) {
+    logError(`  Errors:                 ${counters.errorCount}`);
   }
   logInfo('');
 
   // Machine-readable summary line parsed by scheduled_run.sh for ntfy notification
+  const { savedJudgements, errorCount } = counters;
   const summaryLine = savedJudgements === 0
     ? 'Nothing new found.'
     : `${newSitemapIndexCount} index(es) processed, ${savedJudgements} judgement(s) saved${errorCount > 0 ? `, ${errorCount} error(s)` : ''}.`;
@@ -0,0 +1,143 @@
+/**
+ * Text analysis for the full-text search index (see search.js).
+ *
+ * Text is folded to lowercase ASCII (accents stripped, so "créance" and
+ * "creance" are the same word), split into words, stripped of FR / NL stop
+ * words and reduced to a stem with a light suffix stemmer per language.  The
+ * stemmers only need to be consistent — documents and queries go through the
+ * same functions — so they remove common inflections (plurals, feminine and
+ * verb endings, a few derivational suffixes) rather than implement a full
+ * Snowball algorithm, e.g.
+ *
+ *   FR: "responsabilités" → "responsabil", "contractuelle" → "contractuel"
+ *   NL: "overeenkomsten" → "overeenkomst", "aansprakelijkheden" → "aansprakelijkheid"
+ *
+ * A hyphenated compound ("non-concurrence", "arbeids-overeenkomst") gives
+ * its parts, like any other words, and also one term of its own: the stems
+ * of its parts joined by "-".  A query for the compound only matches that
+ * term, a query for one of its parts matches the compound too.
+ */
+
+export const LANGS = ['fr', 'nl'];
+
+const STOPWORDS = {
+  fr: new Set(`
+    a au aux avec ce ces cet cette d dans de des du elle en et eux il ils je l la le les leur leurs lui m ma mais me
+    meme mes moi mon n ne nos notre nous on ou par pas pour qu que qui s sa se ses si son sur t ta te tes toi ton tu
+    un une vos votre vous y ete etre est sont ont a avait ainsi alors dont donc lorsque puis sans selon sous tout
+    tous toute toutes tres cela celle celui ceux ci ni car comme entre plus autre autres meme memes
+  `.trim().split(/\s+/)),
+  nl: new Set(`
+    aan al als bij dan dat de den der des deze die dit door een en er het hij hem hun ik in is je kan maar me met
+    mij na naar niet nog noch nu of om ook op over te tegen tot u uit van veel voor was wat we wel werd wie wij
+    worden wordt zal ze zich zij zijn zo zonder zou ten ter hetgeen welke waarbij waarin daar dus indien doch
+  `.trim().split(/\s+/)),
+};
+
+/** Lowercase and strip diacritics ("Créances" → "creances", "knieën" → "knieen"). */
+export function foldText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Words of `text`, folded, with their offsets in `text` (for snippets).
+ * Letters and digits only: "l'article" gives "l" and "article", "1382bis"
+ * stays one word.  Single letters are dropped.
+ */
+export function words(text) {
+  const result = [];
+  for (const match of text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+    const word = foldText(match[0]);
+    if (word.length > 1) result.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+  return result;
+}
+
+/**
+ * Hyphenated compounds of `text`, folded (any hyphen becomes "-"), with
+ * their offsets in `text`: "Non‑concurrence" gives "non-concurrence".
+ */
+export function compounds(text) {
+  const result = [];
+  for (const match of text.matchAll(/[\p{L}\p{M}\p{N}]+(?:[-\u2010\u2011][\p{L}\p{M}\p{N}]+)+/gu)) {
+    result.push({ word: foldText(match[0]).replace(/[\u2010\u2011]/g, '-'), start: match.index, end: match.index + match[0].length });
+  }
+  return result;
+}
+
+export function isStopword(word, lang) {
+  return STOPWORDS[lang].has(word);
+}
+
+// ─── French ──────────────────────────────────────────────────────────────────
+
+const FR_SUFFIXES = [
+  'issements', 'issement', 'atrices', 'atrice', 'ateurs', 'ateur', 'ations', 'ation', 'ements', 'ement',
+  'ances', 'ance', 'ences', 'ence', 'ites', 'ite', 'ives', 'ive', 'ifs', 'if', 'euses', 'euse', 'eux',
+  'iques', 'ique', 'ismes', 'isme', 'istes', 'iste', 'ables', 'able', 'ibles', 'ible', 'ments', 'ment',
+];
+const FR_ENDINGS = ['aient', 'ait', 'ees', 'ee', 'es', 'ez', 'er', 'e', 's'];
+
+function stemFr(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('aux') && w.length > 4) w = w.slice(0, -3) + 'al';
+  else if (w.endsWith('x') && w.length > 4) w = w.slice(0, -1);
+  const suffix = FR_SUFFIXES.find(s => w.endsWith(s) && w.length - s.length >= 4);
+  if (suffix) {
+    // "indemnisation" → "indemnis", like "indemniser" below
+    w = w.slice(0, -suffix.length);
+  } else {
+    const ending = FR_ENDINGS.find(e => w.endsWith(e) && w.length - e.length >= 3);
+    if (ending) w = w.slice(0, -ending.length);
+  }
+  // "contractuell" → "contractuel", "personn" → "person"
+  if (/([^aeiouy])\1$/.test(w) && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+// ─── Dutch ───────────────────────────────────────────────────────────────────
+
+function undouble(w) {
+  // "kost" stays, "recht" stays, "zakk" → "zak", and a doubled vowel in the
+  // last syllable is halved so that "zaak" and "zaken" share "zak".
+  if (/([^aeiou])\1$/.test(w)) w = w.slice(0, -1);
+  return w.replace(/([^aeiou])(aa|ee|oo|uu)([^aeiou])$/, (m, c1, vv, c2) => c1 + vv[0] + c2);
+}
+
+function stemNl(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('heden')) return w.slice(0, -5) + 'heid';
+  if (w.endsWith('ingen') && w.length > 7) return w.slice(0, -2);
+  if (w.endsWith('en') && w.length >= 5) w = undouble(w.slice(0, -2));
+  else if (w.endsWith('s') && !w.endsWith('ss') && w.length > 4) w = w.slice(0, -1);
+  else if (w.endsWith('e') && w.length > 4) w = undouble(w.slice(0, -1));
+  else w = undouble(w);
+  return w;
+}
+
+const STEMMERS = { fr: stemFr, nl: stemNl };
+
+/** Stem of a folded word in `lang` ('fr' or 'nl'). */
+export function stem(word, lang) {
+  return STEMMERS[lang](word);
+}
+
+/** Term of a folded compound (see compounds()) in `lang`. */
+export function stemCompound(compound, lang) {
+  return compound.split('-').map(part => stem(part, lang)).join('-');
+}
+
+/**
+ * Index terms of `text` in `lang`: the stems of its non-stop words, in order
+ * (with repetitions), followed by the terms of its compounds.
+ */
+export function analyze(text, lang) {
+  const terms = [];
+  for (const { word } of words(text)) {
+    if (!isStopword(word, lang)) terms.push(stem(word, lang));
+  }
+  for (const { word } of compounds(text)) terms.push(stemCompound(word, lang));
+  return terms;
+}
@@ -0,0 +1,260 @@
+/**
+ * --export-annotated <eli>: A law with its case law ("code annoté"), as
+ * Markdown and as a standalone HTML page.
+ *
+ * Every cited article is followed by the judgements citing it, oldest first:
+ * court, date, ECLI (linked to the judgement on Juportal), role number and
+ * the abstracts in the language of --lang (fr by default; the other
+ * language's, marked as such, when a judgement has none).  The "related"
+ * cross-references of --add-related are listed under their article, and the
+ * citations of the law as a whole ("general") come last.
+ *
+ * <eli> is an ELI or cgi_loi URL, an ELI path, a data file name or the name
+ * of a split text.  A law split over several ELIs (split_texts.json) is
+ * rendered whole: the data files of all its parts are merged in article
+ * order.  --courts keeps the judgements of some courts only.
+ *
+ * The files are written to annotated/<name>.<lang>.md and .html.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { logInfo, logSuccess, logWarn, timestamp } from './logger.js';
+import { listDataFiles, loadDataFile, writeFileAtomic } from './storage.js';
+import { eliToFilename, filenameToEli, lawToFilename } from './utils.js';
+import { findSplitText, findSplitTextByEli, compareArticleIds } from './split_texts.js';
+import { foldText } from './analyzer.js';
+import { ANNOTATED_DIR, JUPORTAL_CONTENT_URL } from './constants.js';
+
+const LABELS = {
+  fr: {
+    article: article => `Article ${article}`,
+    general: 'Le texte dans son ensemble',
+    seeAlso: 'Voir aussi :',
+    art: 'art.',
+    roleNumber: 'R.G.',
+    summary: (articles, judgements, date) => `${articles} article(s), ${judgements} décision(s) — généré le ${date}`,
+    empty: 'Aucune décision ne cite ce texte.',
+  },
+  nl: {
+    article: article => `Artikel ${article}`,
+    general: 'De tekst in zijn geheel',
+    seeAlso: 'Zie ook:',
+    art: 'art.',
+    roleNumber: 'A.R.',
+    summary: (articles, judgements, date) => `${articles} artikel(en), ${judgements} beslissing(en) — gegenereerd op ${date}`,
+    empty: 'Geen enkele beslissing citeert deze tekst.',
+  },
+};
+
+const COURTS = {
+  CASS: { fr: 'Cour de cassation', nl: 'Hof van Cassatie' },
+  GHCC: { fr: 'Cour constitutionnelle', nl: 'Grondwettelijk Hof' },
+};
+
+const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+function formatDate(date, lang) {
+  if (!date || isNaN(Date.parse(date))) return date ?? '?';
+  return new Intl.DateTimeFormat(`${lang}-BE`, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
+}
+
+// ─── Collecting ──────────────────────────────────────────────────────────────
+
+/**
+ * The data files to render for `law`, with the title and output name:
+ * every part of a split text, or the one data file.
+ */
+function resolveSources(law, lang) {
+  const filenames = listDataFiles();
+  const filename = lawToFilename(law);
+  const splitText = filenames.includes(filename)
+    ? findSplitTextByEli(filenameToEli(filename))?.splitText
+    : findSplitText(law);
+  if (!splitText) {
+    if (!filenames.includes(filename)) throw new Error(`No data file or split text for ${law}`);
+    const id = filename.replace(/\.json$/, '');
+    return { title: filenameToEli(filename) ?? id, name: id, filenames: [filename] };
+  }
+  const parts = splitText.parts.map(part => eliToFilename(part.eli)).filter(name => filenames.includes(name));
+  if (parts.length === 0) throw new Error(`No data file for any part of ${Object.values(splitText.names)[0]}`);
+  const title = splitText.names[lang] ?? Object.values(splitText.names)[0];
+  return { title, name: foldText(title).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''), filenames: parts };
+}
+
+/** Articles of the data files merged: article → { judgements: Map(ECLI → record), related: [] }. */
+function collectArticles(filenames, courts) {
+  const articles = new Map();
+  const entry = (article) => {
+    if (!articles.has(article)) articles.set(article, { judgements: new Map(), related: [] });
+    return articles.get(article);
+  };
+  for (const filename of filenames) {
+    const data = loadDataFile(filename);
+    for (const [article, eclis] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, record] of Object.entries(eclis)) {
+        if (courts && !courts.includes(record.court)) continue;
+        const judgements = entry(article).judgements;
+        const known = judgements.get(ecli);
+        judgements.set(ecli, known ? {
+          ...known,
+          abstractFR: [...new Set([...toArray(known.abstractFR), ...toArray(record.abstractFR)])],
+          abstractNL: [...new Set([...toArray(known.abstractNL), ...toArray(record.abstractNL)])],
+        } : record);
+      }
+    }
+    for (const { from, fromELI, articles: mapping = {} } of toArray(data.related)) {
+      for (const [article, sources] of Object.entries(mapping)) {
+        entry(article).related.push({ from, fromELI, articles: toArray(sources) });
+      }
+    }
+  }
+  return articles;
+}
+
+/** The document both renderers take. */
+function buildDocument(law, { lang, courts }) {
+  const { title, name, filenames } = resolveSources(law, lang);
+  const other = lang === 'fr' ? 'nl' : 'fr';
+  const articles = collectArticles(filenames, courts);
+  const eclis = new Set();
+  const sections = [...articles.keys()]
+    .sort((a, b) => (a === 'general') - (b === 'general') || compareArticleIds(a, b))
+    .map((article) => {
+      const { judgements, related } = articles.get(article);
+      return {
+        article,
+        heading: article === 'general' ? LABELS[lang].general : LABELS[lang].article(article),
+        related,
+        judgements: [...judgements].map(([ecli, record]) => {
+          eclis.add(ecli);
+          const own = toArray(lang === 'fr' ? record.abstractFR : record.abstractNL);
+          const fallback = toArray(lang === 'fr' ? record.abstractNL : record.abstractFR);
+          return {
+            ecli,
+            url: `${JUPORTAL_CONTENT_URL}${ecli}/${lang.toUpperCase()}`,
+            court: COURTS[record.court]?.[lang] ?? record.court ?? '?',
+            date: record.date ?? null,
+            roleNumber: record.roleNumber ?? null,
+            abstracts: own.length > 0 ? own : fallback,
+            abstractsLang: own.length > 0 || fallback.length === 0 ? null : other,
+          };
+        }).sort((a, b) => (a.date ?? '\uffff').localeCompare(b.date ?? '\uffff') || a.ecli.localeCompare(b.ecli)),
+      };
+    });
+  return {
+    lang,
+    title,
+    name,
+    elis: filenames.map(filename => filenameToEli(filename)).filter(Boolean),
+    summary: LABELS[lang].summary(sections.filter(s => s.article !== 'general').length, eclis.size,
+      formatDate(new Date().toISOString().slice(0, 10), lang)),
+    sections,
+  };
+}
+
+// ─── Markdown ────────────────────────────────────────────────────────────────
+
+const md = text => String(text).replace(/[\\`*_[\]<>#|]/g, c => `\\${c}`);
+
+/** "Voir aussi : <from>, art. 1, 2 ; …" with `link(label, url)` and `escape(text)` of the output format. */
+function relatedLine(related, lang, link, escape) {
+  const refs = related.map(({ from, fromELI, articles }) =>
+    `${link(from ?? fromELI, fromELI)}, ${LABELS[lang].art} ${escape(articles.join(', '))}`);
+  return `${escape(LABELS[lang].seeAlso)} ${refs.join(' ; ')}`;
+}
+
+function renderMarkdown(doc) {
+  const labels = LABELS[doc.lang];
+  const out = [`# ${md(doc.title)}`, '', ...doc.elis.map(eli => `- <${eli}>`), '', `_${md(doc.summary)}_`, ''];
+  if (doc.sections.length === 0) out.push(labels.empty, '');
+  for (const section of doc.sections) {
+    out.push(`## ${md(section.heading)}`, '');
+    for (const j of section.judgements) {
+      const role = j.roleNumber ? ` — ${labels.roleNumber} ${md(j.roleNumber)}` : '';
+      out.push(`- **${md(j.court)}, ${md(formatDate(j.date, doc.lang))}** — [${md(j.ecli)}](${j.url})${role}`);
+      for (const text of j.abstracts) {
+        out.push('', `  > ${j.abstractsLang ? `(${j.abstractsLang.toUpperCase()}) ` : ''}${md(text)}`);
+      }
+      out.push('');
+    }
+    if (section.related.length > 0) {
+      out.push(`_${relatedLine(section.related, doc.lang, (label, url) => (url ? `[${md(label)}](${url})` : md(label)), md)}_`, '');
+    }
+  }
+  return out.join('\n');
+}
+
+// ─── HTML ────────────────────────────────────────────────────────────────────
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const html = text => String(text).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+const anchor = article => `art-${article.replace(/[^A-Za-z0-9.-]/g, '_')}`;
+
+const STYLE = `body{font-family:Georgia,serif;max-width:50rem;margin:2rem auto;padding:0 1rem;line-height:1.5;color:#222}
+h2{border-bottom:1px solid #ccc;margin-top:2.5rem}nav a{margin-right:.5rem;white-space:nowrap}
+.judgement{margin:1rem 0}.meta{font-family:sans-serif;font-size:.9rem}blockquote{margin:.4rem 0 .4rem 1.5rem;color:#444}
+.lang{font-family:sans-serif;font-size:.75rem;color:#888}.related{font-style:italic}.summary{color:#666}`;
+
+function renderHtml(doc) {
+  const labels = LABELS[doc.lang];
+  const out = [
+    '<!DOCTYPE html>',
+    `<html lang="${doc.lang}">`,
+    `<head><meta charset="utf-8"><title>${html(doc.title)}</title><style>${STYLE}</style></head>`,
+    '<body>',
+    `<h1>${html(doc.title)}</h1>`,
+    `<ul>${doc.elis.map(eli => `<li><a href="${html(eli)}">${html(eli)}</a></li>`).join('')}</ul>`,
+    `<p class="summary">${html(doc.summary)}</p>`,
+  ];
+  if (doc.sections.length === 0) out.push(`<p>${html(labels.empty)}</p>`);
+  else out.push(`<nav>${doc.sections.map(s => `<a href="#${anchor(s.article)}">${html(s.article)}</a>`).join(' ')}</nav>`);
+  for (const section of doc.sections) {
+    out.push(`<section id="${anchor(section.article)}">`, `<h2>${html(section.heading)}</h2>`);
+    for (const j of section.judgements) {
+      const role = j.roleNumber ? ` — ${labels.roleNumber} ${html(j.roleNumber)}` : '';
+      const lang = j.abstractsLang ? `<span class="lang">${j.abstractsLang.toUpperCase()}</span> ` : '';
+      out.push(
+        '<div class="judgement">',
+        `<div class="meta"><strong>${html(j.court)}, ${html(formatDate(j.date, doc.lang))}</strong> — <a href="${html(j.url)}">${html(j.ecli)}</a>${role}</div>`,
+        ...j.abstracts.map(text => `<blockquote${j.abstractsLang ? ` lang="${j.abstractsLang}"` : ''}>${lang}${html(text)}</blockquote>`),
+        '</div>',
+      );
+    }
+    if (section.related.length > 0) {
+      out.push(`<p class="related">${relatedLine(section.related, doc.lang, (label, url) =>
+        (url ? `<a href="${html(url)}">${html(label)}</a>` : html(label)), html)}</p>`);
+    }
+    out.push('</section>');
+  }
+  out.push('</body>', '</html>', '');
+  return out.join('\n');
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+/**
+ * Render `law` as annotated/<name>.<lang>.md and .html.
+ *
+ * @param {string} law - ELI, ELI path, data file name or split text name
+ * @param {Object} options
+ * @param {'fr'|'nl'} options.lang
+ * @param {string[]|null} [options.courts] - court codes to keep (all when null)
+ * @returns {string[]} the files written
+ */
+export function exportAnnotated(law, { lang, courts = null }) {
+  logInfo(`${timestamp()} Rendering the annotated text of ${law}…`);
+  const doc = buildDocument(law, { lang, courts });
+  fs.mkdirSync(ANNOTATED_DIR, { recursive: true });
+  const files = [
+    [path.join(ANNOTATED_DIR, `${doc.name}.${lang}.md`), renderMarkdown(doc)],
+    [path.join(ANNOTATED_DIR, `${doc.name}.${lang}.html`), renderHtml(doc)],
+  ];
+  for (const [file, content] of files) writeFileAtomic(file, content);
+  if (doc.sections.length === 0) logWarn(`⚠ ${LABELS[lang].empty}`);
+  logSuccess(`✔ ${doc.title} (${doc.elis.length} data file(s)): ${doc.summary}`);
+  for (const [file] of files) logInfo(`  → ${chalk.cyan(path.relative(process.cwd(), file))}`);
+  return files.map(([file]) => file);
+}
@@ -0,0 +1,164 @@
+/**
+ * Local archive of raw HTTP responses (robots.txt, sitemap XML, judgement HTML).
+ *
+ * Every successful download made by fetchWithRetry is stored, its body keyed
+ * by content:
+ *   archive/<hh>/<sha256(body)>.gz = the gzipped body
+ * where <hh> is the first two hex digits of the hash (keeps directories small).
+ * A body is stored once, however many URLs or downloads share it, so a
+ * republished sitemap keeps its earlier content next to the new one.
+ *
+ * archive/index.jsonl describes the versions of every URL, one line each:
+ *   { url, key, fetchedAt, status, headers }
+ * where key is the hash of the body.  Downloading the same content again
+ * refreshes its version (appended anew); the last version of a URL is its
+ * current response.  Once the file holds twice as many lines as versions it
+ * is rewritten with one line per version.
+ *
+ * With --no-archive only these lines are written, not the bodies: the
+ * validators and content hashes they keep are enough for conditional
+ * requests and to tell whether a URL changed (see fetchConditional).
+ *
+ * Archives written before bodies were keyed by content hold one
+ * archive/<hh>/<sha256(url)>.json.gz = { url, fetchedAt, status, headers, body }
+ * per URL, listed as { url, key, fetchedAt }; they are still read.
+ *
+ * With --offline the fetch layer reads exclusively from this archive, which
+ * makes parser work reproducible without re-hitting juportal.  Online, the
+ * archived ETag / Last-Modified headers make every request conditional.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { ARCHIVE_DIR } from './constants.js';
+
+const INDEX_FILE = path.join(ARCHIVE_DIR, 'index.jsonl');
+
+// index.jsonl is compacted once it holds more than this many lines per
+// version, and at least INDEX_COMPACT_MIN_LINES lines.
+const INDEX_COMPACT_RATIO = 2;
+const INDEX_COMPACT_MIN_LINES = 1000;
+
+/**
+ * Content address of a body inside the archive (hex SHA-256).
+ */
+export function archiveKey(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+function bodyPath(key) {
+  return path.join(ARCHIVE_DIR, key.slice(0, 2), `${key}.gz`);
+}
+
+// Entry file of the archives keyed by URL (see above).
+function legacyPath(key) {
+  return path.join(ARCHIVE_DIR, key.slice(0, 2), `${key}.json.gz`);
+}
+
+const isLegacy = version => version.status === undefined;
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+let _versions = null; // url → versions, oldest first, one per key
+let _versionCount = 0;
+let _lineCount = 0;
+
+function addVersion(version) {
+  const versions = _versions.get(version.url) ?? [];
+  const i = versions.findIndex(v => v.key === version.key);
+  if (i !== -1) versions.splice(i, 1);
+  else _versionCount++;
+  versions.push(version);
+  _versions.set(version.url, versions);
+}
+
+function loadIndex() {
+  if (_versions !== null) return _versions;
+  _versions = new Map();
+  _versionCount = 0;
+  _lineCount = 0;
+  if (!fs.existsSync(INDEX_FILE)) return _versions;
+  for (const line of fs.readFileSync(INDEX_FILE, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      addVersion(JSON.parse(line));
+      _lineCount++;
+    } catch { /* tolerate a truncated last line */ }
+  }
+  return _versions;
+}
+
+/** Rewrite index.jsonl with one line per version. */
+function compactIndex() {
+  const lines = [..._versions.values()].flat().map(version => JSON.stringify(version) + '\n');
+  const tmpPath = `${INDEX_FILE}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, lines.join(''), 'utf-8');
+  fs.renameSync(tmpPath, INDEX_FILE);
+  _lineCount = lines.length;
+}
+
+// ─── Entries ─────────────────────────────────────────────────────────────────
+
+/**
+ * Store a downloaded response.
+ * @param {string} url
+ * @param {{status: number, headers: Object<string, string>, body: string}} response
+ * @param {Object} [options]
+ * @param {boolean} [options.keepBody] - false to record the version without its body
+ */
+export function writeArchiveEntry(url, { status, headers, body }, { keepBody = true } = {}) {
+  loadIndex();
+  const key = archiveKey(body);
+  const filePath = bodyPath(key);
+  if (keepBody && !fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, zlib.gzipSync(body));
+    fs.renameSync(tmpPath, filePath);
+  }
+  const version = { url, key, fetchedAt: new Date().toISOString(), status, headers };
+  addVersion(version);
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.appendFileSync(INDEX_FILE, JSON.stringify(version) + '\n', 'utf-8');
+  _lineCount++;
+  if (_lineCount >= INDEX_COMPACT_MIN_LINES && _lineCount > INDEX_COMPACT_RATIO * _versionCount) compactIndex();
+}
+
+function readVersion(version) {
+  if (isLegacy(version)) {
+    const filePath = legacyPath(version.key);
+    if (!fs.existsSync(filePath)) return null;
+    const entry = JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf-8'));
+    return { ...entry, key: archiveKey(entry.body) };
+  }
+  const filePath = bodyPath(version.key);
+  const body = fs.existsSync(filePath) ? zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf-8') : null;
+  return { ...version, body };
+}
+
+/**
+ * Read the archived response for a URL (its latest version).
+ * Returns { url, key, fetchedAt, status, headers, body } — body null when
+ * only the validators were kept — or null when the URL was never archived.
+ */
+export function readArchiveEntry(url) {
+  const versions = loadIndex().get(url);
+  return versions ? readVersion(versions.at(-1)) : null;
+}
+
+export function hasArchiveEntry(url) {
+  const version = loadIndex().get(url)?.at(-1);
+  return Boolean(version) && fs.existsSync(isLegacy(version) ? legacyPath(version.key) : bodyPath(version.key));
+}
+
+/**
+ * List every archived URL with the timestamp of its latest download.
+ * @returns {Array<{url: string, fetchedAt: string}>}
+ */
+export function listArchivedUrls() {
+  return [...loadIndex()]
+    .filter(([url]) => hasArchiveEntry(url))
+    .map(([url, versions]) => ({ url, fetchedAt: versions.at(-1).fetchedAt }));
+}
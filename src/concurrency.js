@@ -1,3 +1,5 @@
+import { sleep } from './utils.js';
+
 // ─── Concurrency Utilities ───────────────────────────────────────────────────
 
 /**
@@ -36,6 +38,99 @@ export class Semaphore {
   }
 }
 
+/**
+ * Counting semaphore whose limit adapts AIMD-style (additive increase,
+ * multiplicative decrease, as in TCP congestion control).
+ *
+ * Every success whose latency stays within `latencyTolerance` × the baseline
+ * (the lowest latency seen recently) grows the limit by 1/limit, i.e. by one
+ * slot per window of `limit` completions.  An overload signal (timeout, 5xx,
+ * 429) multiplies the limit by `decreaseFactor`, at most once per window so
+ * that the burst of failures caused by one overload counts once.
+ *
+ * Usage:
+ *   const limiter = new AdaptiveLimiter({ initial: 5, max: 10 });
+ *   await limiter.acquire();
+ *   try { await doWork(); } finally { limiter.release(); }
+ *   // and, from wherever outcomes are observed:
+ *   limiter.recordSuccess(latencyMs);  /  limiter.recordOverload();
+ */
+export class AdaptiveLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.initial
+   * @param {number} [options.min]
+   * @param {number} options.max
+   * @param {number} [options.decreaseFactor]
+   * @param {number} [options.latencyTolerance]
+   * @param {(limit: number) => void} [options.onChange] - called when the
+   *   (integer) limit changes
+   */
+  constructor({ initial, min = 1, max, decreaseFactor = 0.5, latencyTolerance = 2, onChange = () => {} }) {
+    this._limit = initial;
+    this._min = min;
+    this._max = max;
+    this._decreaseFactor = decreaseFactor;
+    this._latencyTolerance = latencyTolerance;
+    this._onChange = onChange;
+    this._inFlight = 0;
+    this._queue = [];
+    this._baselineMs = null;
+    this._sinceDecrease = Infinity;
+  }
+
+  /** Current number of slots. */
+  get limit() {
+    return Math.floor(this._limit);
+  }
+
+  /** Block until a slot is free, then occupy it. */
+  async acquire() {
+    if (this._inFlight < this.limit) {
+      this._inFlight++;
+      return;
+    }
+    await new Promise(resolve => this._queue.push(resolve));
+  }
+
+  /** Release a slot, waking waiters while there is room. */
+  release() {
+    this._inFlight--;
+    this._drain();
+  }
+
+  /** A request completed normally in `latencyMs`. */
+  recordSuccess(latencyMs) {
+    this._sinceDecrease++;
+    // The baseline follows drops at once and drifts up slowly, so that a
+    // lasting change in server latency is eventually accepted as normal.
+    this._baselineMs = this._baselineMs === null ? latencyMs : Math.min(latencyMs, this._baselineMs * 1.05);
+    if (latencyMs > this._baselineMs * this._latencyTolerance) return;
+    this._setLimit(Math.min(this._max, this._limit + 1 / this._limit));
+  }
+
+  /** A request failed in a way that suggests the server is overloaded. */
+  recordOverload() {
+    if (this._sinceDecrease < this.limit) return;
+    this._sinceDecrease = 0;
+    this._setLimit(Math.max(this._min, this._limit * this._decreaseFactor));
+  }
+
+  _setLimit(value) {
+    const before = this.limit;
+    this._limit = value;
+    if (this.limit !== before) this._onChange(this.limit);
+    this._drain();
+  }
+
+  _drain() {
+    while (this._queue.length > 0 && this._inFlight < this.limit) {
+      this._inFlight++;
+      this._queue.shift()();
+    }
+  }
+}
+
 /**
  * A serial queue that runs async tasks one at a time, in submission order.
  * Useful to serialise file writes that would otherwise race when concurrent
@@ -64,3 +159,67 @@ export class SerialQueue {
     return result;
   }
 }
+
+/**
+ * Token bucket rate limiter for async code.
+ * Holds up to `burst` tokens, refilled continuously at `ratePerSec`; every
+ * take() consumes one token, waiting for the refill when the bucket is empty.
+ * Takers are served in FIFO order.
+ *
+ * Usage:
+ *   const bucket = new TokenBucket(2, 2);   // 2 requests/s, bursts of 2
+ *   await bucket.take();
+ *   await fetch(url);
+ */
+export class TokenBucket {
+  constructor(ratePerSec, burst = 1) {
+    this._rate = ratePerSec;
+    this._burst = Math.max(1, burst);
+    this._tokens = this._burst;
+    this._lastRefill = Date.now();
+    this._pausedUntil = 0;
+    this._tail = Promise.resolve();
+  }
+
+  /** Change the refill rate (and burst size) of the bucket. */
+  setRate(ratePerSec, burst = this._burst) {
+    this._refill();
+    this._rate = ratePerSec;
+    this._burst = Math.max(1, burst);
+    this._tokens = Math.min(this._tokens, this._burst);
+  }
+
+  /** Hand out no tokens for the next `ms` milliseconds (e.g. Retry-After). */
+  pause(ms) {
+    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + ms);
+  }
+
+  /** Wait for a token, then consume it. */
+  take() {
+    const result = this._tail.then(() => this._takeOne());
+    this._tail = result.then(() => {}, () => {});
+    return result;
+  }
+
+  async _takeOne() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this._pausedUntil) {
+        await sleep(this._pausedUntil - now);
+        continue;
+      }
+      this._refill();
+      if (this._tokens >= 1) {
+        this._tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this._tokens) / this._rate) * 1000));
+    }
+  }
+
+  _refill() {
+    const now = Date.now();
+    this._tokens = Math.min(this._burst, this._tokens + ((now - this._lastRefill) / 1000) * this._rate);
+    this._lastRefill = now;
+  }
+}
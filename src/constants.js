@@ -10,18 +10,119 @@ export const SETTINGS_FILE = path.join(ROOT_DIR, 'settings.json');
 export const MISSING_ELI_FILE = path.join(ROOT_DIR, 'missing_eli.json');
 export const ERRORS_FILE = path.join(ROOT_DIR, 'errors.json');
 export const LOG_FILE = path.join(ROOT_DIR, 'log.json');
+export const CONCLUSIONS_FILE = path.join(ROOT_DIR, 'conclusions.json');
+export const DEAD_URLS_FILE = path.join(ROOT_DIR, 'dead_urls.json');
+export const JOURNAL_FILE = path.join(ROOT_DIR, 'journal.jsonl');
+export const LOCK_FILE = path.join(ROOT_DIR, 'crawler.lock');
 export const DATA_DIR = path.join(ROOT_DIR, 'data');
+export const ARCHIVE_DIR = path.join(ROOT_DIR, 'archive');
+export const REBUILD_DIR = path.join(ROOT_DIR, 'data.rebuild');
+export const DATA_OLD_DIR = path.join(ROOT_DIR, 'data.old');
+export const SCHEMAS_DIR = path.join(ROOT_DIR, 'schemas');
+export const VALIDATION_REPORT_FILE = path.join(ROOT_DIR, 'validation_report.json');
+export const STATS_REPORT_FILE = path.join(ROOT_DIR, 'stats_report.json');
+export const SQLITE_FILE = path.join(ROOT_DIR, 'juportal.sqlite');
+export const SQLITE_OLD_FILE = path.join(ROOT_DIR, 'juportal.old.sqlite');
+export const SEARCH_INDEX_FILE = path.join(ROOT_DIR, 'search_index.json');
+export const ECLI_INDEX_FILE = path.join(ROOT_DIR, 'ecli_index.json');
+
+/**
+ * Storage backends of the ELI data files and missing_eli.json (see
+ * storage.js); chosen by settings.storage or --storage.
+ */
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * --export formats; the output goes to EXPORT_FILE_STEM.<format> unless
+ * --out names another file.  The RDF formats (ttl, jsonld) name judgements
+ * by their ECLI under ECLI_IRI_BASE, the European e-Justice ECLI resolver.
+ */
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'ttl', 'jsonld'];
+export const EXPORT_FILE_STEM = path.join(ROOT_DIR, 'export');
+export const ECLI_IRI_BASE = 'https://e-justice.europa.eu/ecli/';
+
+/**
+ * --export-annotated writes its Markdown and HTML files to ANNOTATED_DIR and
+ * links every ECLI to its page under JUPORTAL_CONTENT_URL.
+ */
+export const ANNOTATED_DIR = path.join(ROOT_DIR, 'annotated');
+export const JUPORTAL_CONTENT_URL = 'https://juportal.be/content/';
+
+/** Judgements listed by --search unless --limit asks for another number. */
+export const SEARCH_RESULT_LIMIT = 20;
+
+/** Rows of each --stats ranking shown in the terminal unless --limit asks for another number. */
+export const STATS_TOP_COUNT = 20;
+
+/**
+ * --serve listens on 127.0.0.1:SERVE_PORT unless another port is given.
+ * List endpoints return SERVE_PAGE_SIZE items per page unless ?pageSize=
+ * asks for another number, up to SERVE_MAX_PAGE_SIZE.
+ */
+export const SERVE_PORT = 8080;
+export const SERVE_PAGE_SIZE = 50;
+export const SERVE_MAX_PAGE_SIZE = 500;
+
 export const MAX_RETRIES = 10;
-export const RETRY_DELAY_MS = 5000;
 export const PROGRESS_INTERVAL_MS = 5000;
 export const FETCH_TIMEOUT_MS = 30000;
 
 /**
- * Maximum number of sitemap URLs whose judgement pages can be fetched
- * concurrently within a single sitemap index. File writes (commits) are
- * always serialised so there is no risk of data-file corruption.
+ * The write-ahead journal (journal.jsonl) is fsynced at most this often;
+ * entries appended since the last fsync may be lost on a power cut, but not
+ * when only the process dies.
+ */
+export const JOURNAL_FSYNC_INTERVAL_MS = 1000;
+
+/**
+ * Upper bound (in bytes of JSON on disk) of the ELI data files kept in the
+ * crawl's write-back cache.  Parsed objects take a few times more memory.
+ */
+export const DATA_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Retry backoff: attempt N waits a random delay between half and all of
+ * min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2^(N-1)), unless the server
+ * sent a Retry-After header, which always wins.
+ */
+export const RETRY_BASE_DELAY_MS = 2000;
+export const RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * Default per-host request rate (token bucket: requests per second and burst
+ * size) shared by every network call.  A Crawl-delay in robots.txt overrides
+ * it for the hosts robots.txt covers.
+ */
+export const DEFAULT_HOST_RATE_PER_SEC = 5;
+export const DEFAULT_HOST_BURST = 5;
+
+/**
+ * Number of sitemap URLs whose judgement pages can be fetched concurrently,
+ * across all open sitemap indexes. File writes (commits) are always serialised
+ * so there is no risk of data-file corruption.
+ *
+ * The crawl starts at SITEMAP_CONCURRENCY and adapts between the MIN and MAX
+ * bounds (see AdaptiveLimiter): up while responses stay fast, down on
+ * timeouts and 5xx/429 responses.
  */
 export const SITEMAP_CONCURRENCY = 5;
+export const SITEMAP_CONCURRENCY_MIN = 1;
+export const SITEMAP_CONCURRENCY_MAX = 12;
+
+/**
+ * Number of sitemap indexes whose sitemaps may be queued or in flight at the
+ * same time.  The next index is opened while the previous ones drain, so the
+ * slow tail of one index does not leave the fetch slots idle; the bound keeps
+ * the work queue (and the data held for unfinished indexes) small.
+ */
+export const OPEN_INDEX_LIMIT = 3;
+
+/**
+ * Courts whose judgements are crawled when neither the --courts option nor
+ * the "courts" entry of settings.json selects others.  Values are the court
+ * codes found in the ECLI (e.g. "CASS", "GHCC", "RVSCE", "HBANT").
+ */
+export const DEFAULT_COURTS = ['CASS'];
 
 /**
  * Maximum article range span for old-style article ranges (e.g. "10-19").
@@ -1,6 +1,7 @@
 import chalk from 'chalk';
 import { logInfo, logWarn, logSuccess, timestamp } from './logger.js';
-import { loadDataFile, saveDataFile, loadMissingEliFile, saveMissingEliFile, appendMissingEli } from './storage.js';
+import { loadDataFile, saveDataFile, loadMissingEliFile, saveMissingEliFile, appendMissingEli, loadConclusionsFile, putConclusion,
+  findConclusionsByCase, findJudgementFiles, findJudgementsByCase } from './storage.js';
 import { eliToFilename, normalizeEliToFrench, normalizeCgiUrl, normalizeArticleNumber } from './utils.js';
 import { getAllSplitTextElis, articleBelongsToPart, findEliForArticle, findSplitText } from './split_texts.js';
 
@@ -14,21 +15,21 @@ import { getAllSplitTextElis, articleBelongsToPart, findEliForArticle, findSplit
  *   "<article>": {
  *     "<ECLI>": {
  *       court, date, roleNumber, sitemap,
- *       abstractFR, abstractNL
+ *       abstractFR, abstractNL,
+ *       conclusions?   (ECLIs of the matching CONC, see conclusions.json)
  *     }
  *   }
  * }
  */
 
 /**
- * Merge an incoming value (string or array) into an existing array.
- * - Existing value is normalised to an array (tolerates legacy scalar strings).
+ * Merge an incoming value (string or array) into an existing array (or null;
+ * legacy scalars are normalised when the file is loaded, see schema.js).
  * - The incoming value(s) are appended only if not already present.
  * - Returns null when the result would be an empty array.
  */
 function mergeArrays(existing, incoming) {
-  const arr = Array.isArray(existing) ? [...existing]
-    : (existing ? [existing] : []);
+  const arr = existing ? [...existing] : [];
   if (Array.isArray(incoming)) {
     for (const v of incoming) {
       if (v && !arr.includes(v)) arr.push(v);
@@ -41,6 +42,7 @@ function mergeArrays(existing, incoming) {
 
 export function storeJudgementData(judgement, abstractToBasesMap, sitemapUrl) {
   // abstractToBasesMap: array of { abstractFR?, abstractNL?, legalBases: [{article, eli}] }
+  const conclusionEclis = linkConclusionsToJudgement(judgement);
 
   for (const entry of abstractToBasesMap) {
     for (const base of entry.legalBases) {
@@ -65,6 +67,8 @@ export function storeJudgementData(judgement, abstractToBasesMap, sitemapUrl) {
         abstractFR: mergeArrays(existing.abstractFR, entry.abstractFR),
         abstractNL: mergeArrays(existing.abstractNL, entry.abstractNL),
       };
+      const conclusions = mergeArrays(existing.conclusions, conclusionEclis);
+      if (conclusions) data[base.article][judgement.ecli].conclusions = conclusions;
 
       logInfo(chalk.gray(`${timestamp()}       Saved | article="${base.article}" | ${filename} | ecli=${judgement.ecli}`));
       saveDataFile(filename, data);
@@ -72,6 +76,103 @@ export function storeJudgementData(judgement, abstractToBasesMap, sitemapUrl) {
   }
 }
 
+/**
+ * Sitemap URLs the records of the given judgements were built from, in the
+ * ELI data files and missing_eli.json: what removeJudgementData() would
+ * return, without removing anything.
+ *
+ * @param {Set<string>} eclis
+ * @returns {Set<string>}
+ */
+export function findJudgementSitemaps(eclis) {
+  const sitemaps = new Set();
+  const addSitemaps = (value) => {
+    for (const url of [].concat(value || [])) sitemaps.add(url);
+  };
+  for (const filename of new Set([...eclis].flatMap(findJudgementFiles))) {
+    for (const [article, records] of Object.entries(loadDataFile(filename))) {
+      if (article === 'related') continue;
+      for (const ecli of eclis) if (records[ecli]) addSitemaps(records[ecli].sitemap);
+    }
+  }
+  for (const entry of Object.values(loadMissingEliFile())) {
+    if (!Array.isArray(entry.elements)) continue;
+    for (const e of entry.elements) if (eclis.has(e.ecli)) addSitemaps(e.sitemap);
+  }
+  return sitemaps;
+}
+
+/**
+ * Remove every record of the given judgements from the ELI data files and
+ * their elements from missing_eli.json, so that re-processing a republished
+ * sitemap replaces those judgements instead of merging into them.
+ *
+ * A record may have been built from several sitemaps (see its `sitemap`
+ * array); the URLs of all of them are returned so the caller can re-process
+ * them too and nothing they contributed is lost.
+ *
+ * @param {Set<string>} eclis
+ * @returns {Set<string>} sitemap URLs the removed records came from
+ */
+export function removeJudgementData(eclis) {
+  const sitemaps = new Set();
+  if (eclis.size === 0) return sitemaps;
+  const addSitemaps = (value) => {
+    for (const url of [].concat(value || [])) sitemaps.add(url);
+  };
+
+  let removedRecords = 0;
+  const filenames = new Set([...eclis].flatMap(findJudgementFiles));
+  for (const filename of filenames) {
+    const data = loadDataFile(filename);
+    let changed = false;
+    for (const [article, records] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const ecli of Object.keys(records)) {
+        if (!eclis.has(ecli)) continue;
+        addSitemaps(records[ecli].sitemap);
+        delete records[ecli];
+        removedRecords++;
+        changed = true;
+      }
+      if (Object.keys(records).length === 0) delete data[article];
+    }
+    if (changed) saveDataFile(filename, data);
+  }
+
+  // Keys whose ELI was already assigned are kept even when emptied, so the
+  // assignment applies again once the elements are re-recorded.
+  const missingEli = loadMissingEliFile();
+  let removedElements = 0;
+  const changedKeys = [];
+  for (const [key, entry] of Object.entries(missingEli)) {
+    if (!Array.isArray(entry.elements)) continue;
+    const kept = entry.elements.filter(e => !eclis.has(e.ecli));
+    if (kept.length === entry.elements.length) continue;
+    for (const e of entry.elements) if (eclis.has(e.ecli)) addSitemaps(e.sitemap);
+    removedElements += entry.elements.length - kept.length;
+    entry.elements = kept;
+    if (kept.length === 0 && !entry.eli) delete missingEli[key];
+    changedKeys.push(key);
+  }
+  if (removedElements > 0) saveMissingEliFile(missingEli, changedKeys);
+
+  logInfo(chalk.gray(`${timestamp()}     Removed ${removedRecords} record(s) and ${removedElements} missing-ELI element(s) of ${eclis.size} judgement(s)`));
+  return sitemaps;
+}
+
+/**
+ * Drop conclusions from conclusions.json before they are re-processed, so
+ * their abstracts and legal bases are replaced rather than merged.
+ * @param {Set<string>} eclis
+ */
+export function removeConclusionData(eclis) {
+  const conclusions = loadConclusionsFile();
+  for (const ecli of eclis) {
+    if (conclusions[ecli]) putConclusion(ecli, null);
+  }
+}
+
 export function recordMissingEliData(judgement, abstractToBasesMap, sitemapUrl) {
   let recorded = 0;
   let resolved = 0;
@@ -123,6 +224,115 @@ export function recordMissingEliData(judgement, abstractToBasesMap, sitemapUrl)
   }
 }
 
+// ─── Advocate-general conclusions (CONC) ──────────────────────────────────────
+
+/**
+ * conclusions.json structure:
+ * {
+ *   "<CONC ECLI>": {
+ *     court, date, roleNumber, sitemap, abstractFR, abstractNL,
+ *     legalBases: [{ article, eli }],
+ *     missingEliBases: [{ article, rawLegalBasisText }],
+ *     judgement      (ECLI of the matching ARR, or null until it is found)
+ *   }
+ * }
+ *
+ * A conclusion and its judgement are matched on role number and date.
+ */
+
+/**
+ * Find the stored conclusions matching a judgement (same role number and
+ * date), point them at the judgement, and return their ECLIs.
+ */
+function linkConclusionsToJudgement(judgement) {
+  if (!judgement.roleNumber || !judgement.judgementDate) return [];
+  const conclusions = loadConclusionsFile();
+  const matches = findConclusionsByCase(judgement.roleNumber, judgement.judgementDate);
+  for (const ecli of matches) {
+    if (conclusions[ecli].judgement !== judgement.ecli) {
+      putConclusion(ecli, { ...conclusions[ecli], judgement: judgement.ecli });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Add the `conclusions` reference to the records of the matching judgement
+ * already stored, in whichever data files they are.  Judgements stored later
+ * pick up the reference themselves in storeJudgementData.
+ * Returns the ECLI of the matching judgement, or null.
+ */
+function linkJudgementToConclusion(concEcli, conc) {
+  if (!conc.roleNumber || !conc.date) return null;
+  let judgementEcli = null;
+  for (const ecli of findJudgementsByCase(conc.roleNumber, conc.date)) {
+    if (ecli === concEcli) continue;
+    for (const filename of findJudgementFiles(ecli)) {
+      const data = loadDataFile(filename);
+      let changed = false;
+      for (const [article, eclis] of Object.entries(data)) {
+        const record = article === 'related' ? null : eclis[ecli];
+        if (!record || record.roleNumber !== conc.roleNumber || record.date !== conc.date) continue;
+        judgementEcli = ecli;
+        if (record.conclusions?.includes(concEcli)) continue;
+        record.conclusions = mergeArrays(record.conclusions, concEcli);
+        changed = true;
+      }
+      if (changed) {
+        saveDataFile(filename, data);
+        logInfo(chalk.gray(`${timestamp()}       Linked conclusions ${concEcli} | ${filename}`));
+      }
+    }
+  }
+  return judgementEcli;
+}
+
+/**
+ * Store advocate-general conclusions (CONC) into conclusions.json, with
+ * their own abstracts and legal bases (if any), and link them to the
+ * judgement they belong to.
+ */
+export function storeConclusionData(judgement, abstractToBasesMap, sitemapUrl) {
+  const conclusions = loadConclusionsFile();
+  const existing = conclusions[judgement.ecli] || {};
+
+  const legalBases = [...(existing.legalBases || [])];
+  const missingEliBases = [...(existing.missingEliBases || [])];
+  let abstractFR = existing.abstractFR || null;
+  let abstractNL = existing.abstractNL || null;
+
+  for (const entry of abstractToBasesMap) {
+    abstractFR = mergeArrays(abstractFR, entry.abstractFR);
+    abstractNL = mergeArrays(abstractNL, entry.abstractNL);
+    for (const base of entry.legalBases) {
+      if (!base.eli || legalBases.some(b => b.article === base.article && b.eli === base.eli)) continue;
+      legalBases.push({ article: base.article, eli: base.eli });
+    }
+    for (const missing of entry.missingEliBases || []) {
+      if (missingEliBases.some(m => m.article === missing.article && m.rawLegalBasisText === missing.rawLegalBasisText)) continue;
+      missingEliBases.push({ article: missing.article, rawLegalBasisText: missing.rawLegalBasisText });
+    }
+  }
+
+  const conc = {
+    court: judgement.court,
+    date: judgement.judgementDate,
+    roleNumber: judgement.roleNumber,
+    sitemap: mergeArrays(existing.sitemap, sitemapUrl),
+    abstractFR,
+    abstractNL,
+    legalBases,
+    missingEliBases,
+    judgement: existing.judgement || null,
+  };
+  conc.judgement = linkJudgementToConclusion(judgement.ecli, conc) || conc.judgement;
+  putConclusion(judgement.ecli, conc);
+
+  if (conc.judgement) {
+    logInfo(chalk.gray(`${timestamp()}       Conclusions ${judgement.ecli} → ${conc.judgement}`));
+  }
+}
+
 function normalizeLegalBasisEli(eli) {
   if (!eli) return null;
   if (eli.includes('/eli/')) return normalizeEliToFrench(eli);
@@ -139,8 +349,8 @@ export function processMissingEliFile() {
     return;
   }
 
-  let processedKeys = 0;
   let reintegratedElements = 0;
+  const processedKeys = [];
 
   for (const key of keys) {
     const item = missing[key];
@@ -185,22 +395,41 @@ export function processMissingEliFile() {
     }
 
     item.elements = [];
-    processedKeys++;
+    processedKeys.push(key);
   }
 
-  saveMissingEliFile(missing);
-  logSuccess(`✔ Processed missing_eli.json: ${processedKeys} key(s), ${reintegratedElements} element(s) reintegrated`);
+  saveMissingEliFile(missing, processedKeys);
+  logSuccess(`✔ Processed missing_eli.json: ${processedKeys.length} key(s), ${reintegratedElements} element(s) reintegrated`);
 
   // ── Reassign misplaced abstracts in split-text data files ──
   reassignSplitTextAbstracts();
 }
 
+/**
+ * Merge two data-file records of the same judgement (e.g. when moving one
+ * under another article or file).  Scalar fields of `entry` win; arrays are
+ * merged without duplicates.
+ */
+export function mergeJudgementRecords(existing = {}, entry) {
+  const merged = {
+    court: entry.court ?? existing.court,
+    date: entry.date ?? existing.date,
+    roleNumber: entry.roleNumber ?? existing.roleNumber,
+    sitemap: mergeArrays(existing.sitemap, entry.sitemap),
+    abstractFR: mergeArrays(existing.abstractFR, entry.abstractFR),
+    abstractNL: mergeArrays(existing.abstractNL, entry.abstractNL),
+  };
+  const conclusions = mergeArrays(existing.conclusions, entry.conclusions);
+  if (conclusions) merged.conclusions = conclusions;
+  return merged;
+}
+
 /**
  * Scan all data files belonging to split texts (codes with multiple ELIs)
  * and move any abstracts whose article falls outside the file's declared
- * range to the correct file.
+ * range to the correct file.  Returns the number of records moved.
  */
-function reassignSplitTextAbstracts() {
+export function reassignSplitTextAbstracts() {
   const allParts = getAllSplitTextElis();
   let movedCount = 0;
 
@@ -224,15 +453,7 @@ function reassignSplitTextAbstracts() {
       if (!correctData[article]) correctData[article] = {};
 
       for (const [ecli, entry] of Object.entries(data[article])) {
-        const existing = correctData[article][ecli] || {};
-        correctData[article][ecli] = {
-          court: entry.court ?? existing.court,
-          date: entry.date ?? existing.date,
-          roleNumber: entry.roleNumber ?? existing.roleNumber,
-          sitemap: mergeArrays(existing.sitemap, entry.sitemap),
-          abstractFR: mergeArrays(existing.abstractFR, entry.abstractFR),
-          abstractNL: mergeArrays(existing.abstractNL, entry.abstractNL),
-        };
+        correctData[article][ecli] = mergeJudgementRecords(correctData[article][ecli], entry);
         movedCount++;
       }
 
@@ -252,4 +473,5 @@ function reassignSplitTextAbstracts() {
   if (movedCount > 0) {
     logSuccess(`✔ Reassigned ${movedCount} ECLI(s) across split-text data files`);
   }
+  return movedCount;
 }
@@ -0,0 +1,146 @@
+/**
+ * Life cycle of an index file derived from the data files and
+ * missing_eli.json (search_index.json, ecli_index.json).
+ *
+ * The index is read on first use and then kept in step through the
+ * storage.js hooks: each data file / missing_eli.json write is applied to
+ * the in-memory index, which is saved when the data files are flushed (at
+ * most every CHECKPOINT_INTERVAL_MS, e.g. at the end of each sitemap index
+ * of a crawl) and by flushAll().  The saved file thus always matches the
+ * files on disk at some point of the run, and readers in other processes
+ * (--serve) keep using it.  While the in-memory index has unsaved changes a
+ * "<file>.stale" marker sits next to it: readers report the file as
+ * possibly behind, and a later run finding a marker it did not write (its
+ * writer died before saving) rebuilds the index instead of trusting it.
+ * When the data files are replaced wholesale (--rebuild, --import-json,
+ * --export-json) the index is dropped.  Nothing is maintained until an index
+ * has been built.
+ *
+ * An index object has a `dirty` flag and a toJSON() that includes its
+ * "formatVersion"; a stored index of another format version is ignored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { logInfo, logWarn } from './logger.js';
+import { addDataFileHook, writeFileAtomic, isDryRun } from './storage.js';
+
+const CHECKPOINT_INTERVAL_MS = 60 * 1000;
+
+export class DerivedIndexFile {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {number} options.formatVersion - expected "formatVersion" of the file
+   * @param {(stored: Object) => Object} options.load - index object from the parsed file
+   */
+  constructor(filePath, { formatVersion, load }) {
+    this.filePath = filePath;
+    this.name = path.basename(filePath);
+    this._formatVersion = formatVersion;
+    this._load = load;
+    this._index = undefined; // undefined until read; null when there is no usable file
+    this._mtimeMs = null;
+    this._markerPath = `${filePath}.stale`;
+    this._marked = false; // the marker is ours: this run has unsaved changes
+    this._savedAt = 0;
+  }
+
+  /** Whether the file may be behind the data files (see the header). */
+  get stale() {
+    return fs.existsSync(this._markerPath);
+  }
+
+  /**
+   * The index, read from the file on first use; null when none was built.
+   * With `fresh`, the file is read again when another process rewrote (or
+   * removed) it since.  Outside dry-run mode, a file left stale by a run that
+   * died is not used.
+   */
+  get({ fresh = false } = {}) {
+    if (fresh && this._index !== undefined && !this._index?.dirty) {
+      const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+      if (mtimeMs !== this._mtimeMs) this._index = undefined;
+    }
+    if (this._index !== undefined) return this._index;
+    this._index = null;
+    this._mtimeMs = null;
+    if (!fs.existsSync(this.filePath)) return this._index;
+    try {
+      this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (stored.formatVersion !== this._formatVersion) {
+        throw new Error(`formatVersion ${stored.formatVersion}, expected ${this._formatVersion}`);
+      }
+      if (this.stale && !this._marked && !isDryRun()) throw new Error('its last writer died before saving it');
+      this._index = this._load(stored);
+    } catch (err) {
+      logWarn(`⚠ ${this.name} is unusable (${err.message}) — it will be rebuilt.`);
+    }
+    return this._index;
+  }
+
+  /** Replace the index (after a full build) and save it. Returns whether it was written. */
+  set(index) {
+    this._index = index;
+    index.dirty = true;
+    return this.save();
+  }
+
+  /** Write the index if it has unsaved changes (never with --dry-run). */
+  save() {
+    if (!this._index?.dirty || isDryRun()) return false;
+    writeFileAtomic(this.filePath, JSON.stringify(this._index));
+    this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    this._index.dirty = false;
+    this._savedAt = Date.now();
+    this._unmark();
+    return true;
+  }
+
+  _unmark() {
+    fs.rmSync(this._markerPath, { force: true });
+    this._marked = false;
+  }
+
+  /** Forget the index and remove its file. */
+  drop() {
+    this._index = null;
+    this._unmark();
+    if (fs.existsSync(this.filePath)) {
+      fs.rmSync(this.filePath);
+      logInfo(chalk.gray(`  ${this.name} removed — it is rebuilt when next needed.`));
+    }
+  }
+
+  /**
+   * Apply every data file and missing_eli.json write of this run to the
+   * index, through `handlers.dataFileWritten(index, filename, data)` and
+   * `handlers.missingEliWritten(index, data)`.
+   */
+  track(handlers) {
+    const apply = (handler, ...args) => {
+      const index = handler ? this.get() : null;
+      if (!index) return;
+      if (!this._marked) {
+        fs.writeFileSync(this._markerPath, `${process.pid}\n`);
+        this._marked = true;
+        this._savedAt = Date.now();
+        index.dirty = true; // saved again even if nothing changed, which removes the marker
+      }
+      handler(index, ...args);
+    };
+    addDataFileHook({
+      dataFileWritten: (filename, data) => apply(handlers.dataFileWritten, filename, data),
+      missingEliWritten: data => apply(handlers.missingEliWritten, data),
+      dataReplaced: () => this.drop(),
+      dataFlushed: () => {
+        if (Date.now() - this._savedAt >= CHECKPOINT_INTERVAL_MS) this.save();
+      },
+      flush: (written) => {
+        if (this.save()) written.push(this.name);
+      },
+    });
+  }
+}
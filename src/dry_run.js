@@ -0,0 +1,182 @@
+/**
+ * --dry-run reporting.
+ *
+ * In dry-run mode storage.js keeps every write (data files, settings.json,
+ * missing_eli.json, errors.json, log.json, conclusions.json) in memory.  On
+ * flush, the in-memory state is compared with what is on disk and the
+ * structured diff built here is printed instead of writing anything.
+ */
+
+import chalk from 'chalk';
+import path from 'path';
+
+/**
+ * Flatten a data file into a Map of "article\tECLI" → serialised record.
+ * The "related" key is not an article and is compared separately.
+ */
+function dataFileRecords(data) {
+  const records = new Map();
+  for (const [article, eclis] of Object.entries(data || {})) {
+    if (article === 'related') continue;
+    for (const [ecli, record] of Object.entries(eclis || {})) {
+      records.set(`${article}\t${ecli}`, JSON.stringify(record));
+    }
+  }
+  return records;
+}
+
+/**
+ * Compare the on-disk and in-memory versions of the data files written
+ * during the dry run.
+ *
+ * @param {Array<{filePath: string, before: Object|null, after: Object}>} files
+ * @returns {{files: Array, moves: Array}}
+ */
+export function diffDataFiles(files) {
+  const report = [];
+  const removedByEcli = new Map(); // ECLI → ["file#article", …]
+  const addedByEcli = new Map();
+
+  for (const { filePath, before, after } of files) {
+    const filename = path.basename(filePath);
+    const oldRecords = dataFileRecords(before);
+    const newRecords = dataFileRecords(after);
+    const oldArticles = new Set(Object.keys(before || {}));
+
+    const articlesAdded = Object.keys(after).filter(a => a !== 'related' && !oldArticles.has(a));
+    let pairsAdded = 0;
+    let pairsRemoved = 0;
+    let recordsChanged = 0;
+
+    for (const [pair, json] of newRecords) {
+      if (!oldRecords.has(pair)) {
+        pairsAdded++;
+        const [article, ecli] = pair.split('\t');
+        if (!addedByEcli.has(ecli)) addedByEcli.set(ecli, []);
+        addedByEcli.get(ecli).push(`${filename}#${article}`);
+      } else if (oldRecords.get(pair) !== json) {
+        recordsChanged++;
+      }
+    }
+    for (const pair of oldRecords.keys()) {
+      if (newRecords.has(pair)) continue;
+      pairsRemoved++;
+      const [article, ecli] = pair.split('\t');
+      if (!removedByEcli.has(ecli)) removedByEcli.set(ecli, []);
+      removedByEcli.get(ecli).push(`${filename}#${article}`);
+    }
+    const relatedChanged = JSON.stringify(before?.related ?? null) !== JSON.stringify(after.related ?? null);
+
+    if (pairsAdded || pairsRemoved || recordsChanged || relatedChanged || before === null) {
+      report.push({
+        file: filePath,
+        created: before === null,
+        articlesAdded,
+        pairsAdded,
+        pairsRemoved,
+        recordsChanged,
+        relatedChanged,
+      });
+    }
+  }
+
+  // An ECLI that left one (file, article) and appeared in another was moved.
+  const moves = [];
+  for (const [ecli, from] of removedByEcli) {
+    const to = addedByEcli.get(ecli);
+    if (to) moves.push({ ecli, from, to });
+  }
+
+  return { files: report, moves };
+}
+
+/**
+ * Compare the on-disk and in-memory versions of a deferred JSON store.
+ * Returns null when nothing changed.
+ */
+export function diffStore(name, before, after) {
+  if (after === null || JSON.stringify(before ?? {}) === JSON.stringify(after)) return null;
+  const oldStore = before || {};
+  const diff = { store: name, keysAdded: 0, keysRemoved: 0, keysChanged: 0 };
+
+  for (const key of Object.keys(after)) {
+    if (!(key in oldStore)) diff.keysAdded++;
+    else if (JSON.stringify(oldStore[key]) !== JSON.stringify(after[key])) diff.keysChanged++;
+  }
+  for (const key of Object.keys(oldStore)) {
+    if (!(key in after)) diff.keysRemoved++;
+  }
+
+  // Array-valued entries (settings.processedSitemaps, errors.json texts,
+  // missing_eli.json elements): report how many items came and went.
+  let itemsAdded = 0;
+  let itemsRemoved = 0;
+  for (const key of new Set([...Object.keys(after), ...Object.keys(oldStore)])) {
+    const oldItems = itemsOf(oldStore[key]);
+    const newItems = itemsOf(after[key]);
+    if (!oldItems && !newItems) continue;
+    const oldSet = new Set((oldItems || []).map(i => JSON.stringify(i)));
+    const newSet = new Set((newItems || []).map(i => JSON.stringify(i)));
+    for (const i of newSet) if (!oldSet.has(i)) itemsAdded++;
+    for (const i of oldSet) if (!newSet.has(i)) itemsRemoved++;
+  }
+  if (itemsAdded || itemsRemoved) {
+    diff.itemsAdded = itemsAdded;
+    diff.itemsRemoved = itemsRemoved;
+  }
+  return diff;
+}
+
+function itemsOf(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.elements)) return value.elements;
+  return null;
+}
+
+/**
+ * Print the dry-run report to stdout.
+ * @param {{files: Array, moves: Array, stores: Array}} report
+ */
+export function printDryRunReport({ files, moves, stores }) {
+  console.log(chalk.bold.cyan('\n╔══════════════════════════════════════════╗'));
+  console.log(chalk.bold.cyan('║         DRY RUN — NOTHING WRITTEN        ║'));
+  console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
+
+  if (files.length === 0 && stores.length === 0) {
+    console.log('  No changes.');
+    return;
+  }
+
+  if (files.length > 0) {
+    const totalAdded = files.reduce((n, f) => n + f.pairsAdded, 0);
+    const totalRemoved = files.reduce((n, f) => n + f.pairsRemoved, 0);
+    console.log(chalk.bold(`\n  Data files touched: ${files.length}`) + chalk.gray(` (ECLI-article pairs +${totalAdded} / -${totalRemoved})`));
+    for (const f of files) {
+      const parts = [
+        chalk.green(`+${f.pairsAdded}`),
+        chalk.red(`-${f.pairsRemoved}`),
+      ];
+      if (f.recordsChanged) parts.push(chalk.yellow(`~${f.recordsChanged} updated`));
+      if (f.articlesAdded.length) parts.push(`new articles: ${f.articlesAdded.slice(0, 8).join(', ')}${f.articlesAdded.length > 8 ? ', …' : ''}`);
+      if (f.relatedChanged) parts.push('related changed');
+      console.log(`    ${f.created ? chalk.green('new ') : '    '}${path.basename(f.file)}  ${parts.join('  ')}`);
+    }
+  }
+
+  if (moves.length > 0) {
+    console.log(chalk.bold(`\n  ECLIs moved: ${moves.length}`));
+    for (const m of moves) {
+      console.log(`    ${m.ecli}: ${m.from.join(', ')} → ${m.to.join(', ')}`);
+    }
+  }
+
+  if (stores.length > 0) {
+    console.log(chalk.bold('\n  Stores:'));
+    for (const s of stores) {
+      const parts = [`keys +${s.keysAdded} / -${s.keysRemoved} / ~${s.keysChanged}`];
+      if (s.itemsAdded !== undefined) parts.push(`items +${s.itemsAdded} / -${s.itemsRemoved}`);
+      console.log(`    ${s.store.padEnd(18)} ${parts.join('   ')}`);
+    }
+  }
+  console.log('');
+}
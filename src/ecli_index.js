@@ -0,0 +1,257 @@
+/**
+ * Reverse index from ECLI to the laws and articles a judgement cites
+ * (ecli_index.json).
+ *
+ * The data files are law-centric: which articles one judgement relies on
+ * is spread over every file citing it.  This index turns it around:
+ *
+ *   { "formatVersion": 1,
+ *     "judgements": {
+ *       "<ECLI>": {
+ *         court, date,
+ *         abstractFR: [...], abstractNL: [...],   every abstract, once
+ *         citations: [{ law, article, roleNumber, fr: [i], nl: [i] }],
+ *         missingEli: [{ legalBasis, eli, article, roleNumber, fr: [i], nl: [i] }]
+ *       } } }
+ *
+ * "law" is the data file name without .json (filenameToEli() gives the
+ * ELI), "missingEli" lists the legal bases still waiting in missing_eli.json,
+ * and fr / nl point into the judgement's abstracts.
+ *
+ * --reindex builds it; it then follows every data file and missing_eli.json
+ * write (see derived_index.js), so entries moved by storeJudgementData(),
+ * processMissingEliFile() or reassignSplitTextAbstracts() — which all save
+ * through storage.js — are moved in the index too.
+ */
+
+import path from 'path';
+import { logInfo, logSuccess, logWarn, logError, timestamp } from './logger.js';
+import { listDataFiles, loadDataFile, loadMissingEliFile } from './storage.js';
+import { DerivedIndexFile } from './derived_index.js';
+import { ECLI_INDEX_FILE } from './constants.js';
+
+const FORMAT_VERSION = 1;
+
+// A reader in another process (--serve) looks for a newer file this often.
+const REFRESH_INTERVAL_MS = 5 * 1000;
+
+const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+const lawOf = filename => filename.replace(/\.json$/, '');
+
+/** A reference list (fr / nl) turned back into the abstracts it points to. */
+const texts = (pool, refs) => refs.map(i => pool[i]);
+
+function refs(pool, values) {
+  return toArray(values).map((text) => {
+    const i = pool.indexOf(text);
+    return i === -1 ? pool.push(text) - 1 : i;
+  });
+}
+
+class EcliIndex {
+  constructor({ judgements = {} } = {}) {
+    this.judgements = new Map(Object.entries(judgements));
+    this._lawEclis = new Map(); // law → Set of the ECLIs it cites
+    this._missingEclis = new Set();
+    this.dirty = false;
+    for (const [ecli, entry] of this.judgements) {
+      for (const { law } of entry.citations) this._cite(law, ecli);
+      if (entry.missingEli.length > 0) this._missingEclis.add(ecli);
+    }
+  }
+
+  _cite(law, ecli) {
+    if (!this._lawEclis.has(law)) this._lawEclis.set(law, new Set());
+    this._lawEclis.get(law).add(ecli);
+  }
+
+  /**
+   * Rewrite the entry of `ecli` with `change(citations, missingEli)`, which
+   * receives both lists with their abstracts spelled out (abstractFR /
+   * abstractNL instead of fr / nl) and returns the new lists the same way.
+   * `info` ({ court, date }, null when unknown) replaces what the entry held.
+   */
+  _rewrite(ecli, info, change) {
+    const entry = this.judgements.get(ecli) ?? { court: null, date: null, abstractFR: [], abstractNL: [], citations: [], missingEli: [] };
+    const expand = ({ fr, nl, ...rest }) => ({ ...rest, abstractFR: texts(entry.abstractFR, fr), abstractNL: texts(entry.abstractNL, nl) });
+    const [citations, missingEli] = change(entry.citations.map(expand), entry.missingEli.map(expand));
+    this.dirty = true;
+    if (citations.length === 0 && missingEli.length === 0) {
+      this.judgements.delete(ecli);
+      this._missingEclis.delete(ecli);
+      return;
+    }
+
+    const abstractFR = [];
+    const abstractNL = [];
+    const compact = ({ abstractFR: fr, abstractNL: nl, ...rest }) => ({ ...rest, fr: refs(abstractFR, fr), nl: refs(abstractNL, nl) });
+    this.judgements.set(ecli, {
+      court: info.court ?? entry.court,
+      date: info.date ?? entry.date,
+      abstractFR,
+      abstractNL,
+      citations: citations.sort((a, b) => a.law.localeCompare(b.law) || a.article.localeCompare(b.article)).map(compact),
+      missingEli: missingEli.map(compact),
+    });
+    if (missingEli.length > 0) this._missingEclis.add(ecli);
+    else this._missingEclis.delete(ecli);
+  }
+
+  /** Replace the citations of one data file with those of `data`. */
+  updateFile(filename, data) {
+    const law = lawOf(filename);
+    const incoming = new Map(); // ECLI → citations from this file
+    for (const [article, eclis] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, record] of Object.entries(eclis)) {
+        if (!incoming.has(ecli)) incoming.set(ecli, []);
+        incoming.get(ecli).push({ article, record });
+      }
+    }
+
+    const previous = this._lawEclis.get(law) ?? new Set();
+    for (const ecli of new Set([...previous, ...incoming.keys()])) {
+      const cited = incoming.get(ecli) ?? [];
+      const { court = null, date = null } = cited[0]?.record ?? {};
+      this._rewrite(ecli, { court, date }, (citations, missingEli) => [
+        [
+          ...citations.filter(c => c.law !== law),
+          ...cited.map(({ article, record }) => ({
+            law,
+            article,
+            roleNumber: record.roleNumber ?? null,
+            abstractFR: record.abstractFR,
+            abstractNL: record.abstractNL,
+          })),
+        ],
+        missingEli,
+      ]);
+    }
+    this._lawEclis.set(law, new Set(incoming.keys()));
+  }
+
+  /** Replace every missing_eli.json reference with those of `data`. */
+  updateMissingEli(data) {
+    const incoming = new Map(); // ECLI → its elements in missing_eli.json
+    for (const [legalBasis, { eli = null, elements = [] }] of Object.entries(data)) {
+      for (const element of elements) {
+        if (!element.ecli) continue;
+        if (!incoming.has(element.ecli)) incoming.set(element.ecli, []);
+        incoming.get(element.ecli).push({ legalBasis, eli, element });
+      }
+    }
+
+    for (const ecli of new Set([...this._missingEclis, ...incoming.keys()])) {
+      const elements = incoming.get(ecli) ?? [];
+      const { court = null, date = null } = elements[0]?.element ?? {};
+      this._rewrite(ecli, { court, date }, citations => [
+        citations,
+        elements.map(({ legalBasis, eli, element }) => ({
+          legalBasis,
+          eli,
+          article: element.article ?? null,
+          roleNumber: element.roleNumber ?? null,
+          abstractFR: element.abstractFR,
+          abstractNL: element.abstractNL,
+        })),
+      ]);
+    }
+  }
+
+  get missingEliCount() {
+    return this._missingEclis.size;
+  }
+
+  get(ecli) {
+    return this.judgements.get(ecli) ?? null;
+  }
+
+  toJSON() {
+    return { formatVersion: FORMAT_VERSION, judgements: Object.fromEntries(this.judgements) };
+  }
+}
+
+const indexFile = new DerivedIndexFile(ECLI_INDEX_FILE, {
+  formatVersion: FORMAT_VERSION,
+  load: stored => new EcliIndex(stored),
+});
+
+/** Keep ecli_index.json in step with the writes of this run (see derived_index.js). */
+export function trackEcliIndex() {
+  indexFile.track({
+    dataFileWritten: (index, filename, data) => index.updateFile(filename, data),
+    missingEliWritten: (index, data) => index.updateMissingEli(data),
+  });
+}
+
+function indexEverything(missingEli) {
+  const index = new EcliIndex();
+  const filenames = listDataFiles();
+  let failed = 0;
+  for (const filename of filenames) {
+    try {
+      index.updateFile(filename, loadDataFile(filename));
+    } catch {
+      failed++; // reported by loadDataFile
+    }
+  }
+  index.updateMissingEli(missingEli ?? {});
+  return { index, files: filenames.length - failed, failed };
+}
+
+/**
+ * Index every data file and missing_eli.json from scratch and save the index
+ * (kept in memory only with --dry-run).
+ */
+export function buildEcliIndex() {
+  const started = Date.now();
+  logInfo(`${timestamp()} Building the ECLI index…`);
+  const { index, files, failed } = indexEverything(loadMissingEliFile());
+  const saved = indexFile.set(index);
+  logSuccess(`✔ Indexed ${index.judgements.size} ECLIs cited by ${files} data file(s)` +
+    ` (${index.missingEliCount} with legal bases in missing_eli.json) in ${((Date.now() - started) / 1000).toFixed(1)}s` +
+    (saved ? ` → ${path.basename(ECLI_INDEX_FILE)}` : ' (not saved)'));
+  if (failed > 0) logWarn(`⚠ ${failed} unreadable data file(s) left out of the index.`);
+  return index;
+}
+
+let _served = null;
+let _servedStale = false;
+
+/**
+ * Refresh the copy of the index lookupEcli() answers from: ecli_index.json,
+ * read again whenever it changed on disk.  The index is never built here: a
+ * crawl saves it at its checkpoints, and meanwhile the last saved copy is
+ * served, flagged as stale.
+ */
+export function refreshEcliIndex() {
+  _served = indexFile.get({ fresh: true });
+  _servedStale = _served !== null && indexFile.stale;
+}
+
+/**
+ * For a reader running beside the crawler (--serve): refresh the index now,
+ * then every REFRESH_INTERVAL_MS in the background, so lookups never read or
+ * build it themselves.
+ */
+export function watchEcliIndex() {
+  refreshEcliIndex();
+  setInterval(() => {
+    try {
+      refreshEcliIndex();
+    } catch (err) {
+      logError(`✖ Could not refresh the ECLI index: ${err.message}`);
+    }
+  }, REFRESH_INTERVAL_MS).unref();
+}
+
+/**
+ * The index entry of `ecli` (null when unknown) in the copy kept by
+ * watchEcliIndex(): { entry, stale }, or null when ecli_index.json has not
+ * been built.  `stale`: the copy may miss citations written since a crawl's
+ * last checkpoint.
+ */
+export function lookupEcli(ecli) {
+  if (!_served) return null;
+  return { entry: _served.get(ecli), stale: _servedStale };
+}
@@ -0,0 +1,167 @@
+/**
+ * --export csv|jsonl|ttl|jsonld: The article citations as flat rows, for
+ * spreadsheets and BI tools that cannot read the nested
+ * { article: { ECLI: record } } data files, or as RDF for a triple store.
+ *
+ * One row per law, article and ECLI, with the columns of EXPORT_COLUMNS.
+ * "lawTitle" is only known for the split texts (their name in
+ * split_texts.json) and is empty otherwise.  Rows can be limited to some
+ * laws (--law, comma-separated), an article range (--articles 1382..1386,
+ * either end optional, or a single article) and the judgement dates of
+ * --since / --until.
+ *
+ * The data files are read one at a time and their rows streamed out, so the
+ * whole dataset is never held in memory.  The output goes to export.csv /
+ * export.jsonl (or --out <file>) through a temporary file, renamed once
+ * complete.
+ *
+ * CSV follows RFC 4180 and starts with a UTF-8 byte order mark (so Excel
+ * reads the accents right); a cell holding several abstracts or sitemaps
+ * has them on separate lines.  JSONL keeps them as arrays.  Turtle and
+ * JSON-LD describe the same rows, plus each law's cited articles and their
+ * "related" cross-references, with the ELI ontology and the ECLI metadata
+ * scheme (see rdf.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
+import chalk from 'chalk';
+import { logInfo, logSuccess, logWarn, timestamp } from './logger.js';
+import { listDataFiles, loadDataFile } from './storage.js';
+import { filenameToEli, lawToFilename } from './utils.js';
+import { findSplitTextByEli, compareArticleIds } from './split_texts.js';
+import { turtleFormat, jsonLdFormat } from './rdf.js';
+import { EXPORT_FILE_STEM } from './constants.js';
+
+const EXPORT_COLUMNS = ['eli', 'lawTitle', 'article', 'ecli', 'court', 'date', 'roleNumber', 'abstractFR', 'abstractNL', 'sitemap'];
+
+/**
+ * Predicate of --articles: "1382..1386", "1382..", "..1386" or a single
+ * article.  A range only holds numbered articles, so "general" is only
+ * exported when asked for by name.
+ */
+function articleFilter(value) {
+  const dots = value.indexOf('..');
+  if (dots === -1) return article => article === value;
+  const from = value.slice(0, dots).trim();
+  const to = value.slice(dots + 2).trim();
+  if (!from && !to) throw new Error('--articles requires an article or a range, e.g. 1382..1386');
+  return article => /^\d/.test(article)
+    && (!from || compareArticleIds(article, from) >= 0)
+    && (!to || compareArticleIds(article, to) <= 0);
+}
+
+const list = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join('\n') : value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// Each format writes its header, then every row and, after the rows of a data
+// file, the law they cite (law(), RDF only), then its footer.
+const FORMATS = {
+  csv: () => ({
+    header: `\uFEFF${EXPORT_COLUMNS.join(',')}\r\n`,
+    row: row => `${EXPORT_COLUMNS.map(column => csvCell(row[column])).join(',')}\r\n`,
+    footer: '',
+  }),
+  jsonl: () => ({
+    header: '',
+    row: row => `${JSON.stringify(row)}\n`,
+    footer: '',
+  }),
+  ttl: turtleFormat,
+  jsonld: jsonLdFormat,
+};
+
+/**
+ * Write the rows of every data file matching the filters.
+ *
+ * @param {Object} options
+ * @param {'csv'|'jsonl'|'ttl'|'jsonld'} options.format
+ * @param {string|null} [options.file] - output path (export.<format> by default)
+ * @param {string[]|null} [options.laws] - ELIs, ELI paths or data file names
+ * @param {string|null} [options.articles] - an article or a range (see articleFilter())
+ * @param {string|null} [options.since] - first judgement date (YYYY-MM-DD)
+ * @param {string|null} [options.until] - last judgement date (YYYY-MM-DD)
+ * @returns {Promise<{ rows: number, files: number }>}
+ */
+export async function exportCitations({ format, file = null, laws = null, articles = null, since = null, until = null }) {
+  const output = FORMATS[format]();
+  file ??= `${EXPORT_FILE_STEM}.${format}`;
+  const inRange = articles ? articleFilter(articles) : null;
+  let filenames = listDataFiles();
+  if (laws) {
+    const wanted = laws.map(lawToFilename);
+    const unknown = laws.filter((law, i) => !filenames.includes(wanted[i]));
+    if (unknown.length > 0) throw new Error(`No data file for --law ${unknown.join(', ')}`);
+    filenames = [...new Set(wanted)].sort();
+  }
+
+  const started = Date.now();
+  logInfo(`${timestamp()} Exporting ${filenames.length} data file(s) as ${format.toUpperCase()}…`);
+  const tmpPath = `${file}.tmp-${process.pid}`;
+  const out = fs.createWriteStream(tmpPath);
+  const write = chunk => (out.write(chunk) ? null : once(out, 'drain'));
+  let rows = 0;
+  let files = 0;
+  let failed = 0;
+  try {
+    await write(output.header);
+    for (const filename of filenames) {
+      let data;
+      try {
+        data = loadDataFile(filename);
+      } catch {
+        failed++; // reported by loadDataFile
+        continue;
+      }
+      const eli = filenameToEli(filename);
+      const names = findSplitTextByEli(eli)?.splitText.names ?? {};
+      const title = names.fr ?? Object.values(names)[0] ?? '';
+      const cited = [];
+      let fileRows = 0;
+      for (const article of Object.keys(data).sort(compareArticleIds)) {
+        if (article === 'related' || (inRange && !inRange(article))) continue;
+        const before = fileRows;
+        for (const [ecli, record] of Object.entries(data[article])) {
+          if ((since && !(record.date >= since)) || (until && !(record.date <= until))) continue;
+          await write(output.row({
+            eli,
+            lawTitle: title,
+            article,
+            ecli,
+            court: record.court ?? null,
+            date: record.date ?? null,
+            roleNumber: record.roleNumber ?? null,
+            abstractFR: list(record.abstractFR),
+            abstractNL: list(record.abstractNL),
+            sitemap: list(record.sitemap),
+          }));
+          fileRows++;
+        }
+        if (fileRows > before) cited.push(article);
+      }
+      if (fileRows > 0 && output.law) {
+        await write(output.law({ eli, names, articles: cited, related: data.related ?? [] }));
+      }
+      rows += fileRows;
+      if (fileRows > 0) files++;
+    }
+    await write(output.footer);
+    out.end();
+    await finished(out);
+    fs.renameSync(tmpPath, file);
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+
+  logSuccess(`✔ Exported ${rows} row(s) from ${files} data file(s) in ${((Date.now() - started) / 1000).toFixed(1)}s → ${chalk.cyan(path.relative(process.cwd(), file) || file)}`);
+  if (failed > 0) logWarn(`⚠ ${failed} unreadable data file(s) left out of the export.`);
+  return { rows, files };
+}
@@ -1,17 +1,267 @@
 import chalk from 'chalk';
-import { MAX_RETRIES, RETRY_DELAY_MS, PROGRESS_INTERVAL_MS, FETCH_TIMEOUT_MS } from './constants.js';
+import {
+  MAX_RETRIES, PROGRESS_INTERVAL_MS, FETCH_TIMEOUT_MS,
+  RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS, DEFAULT_HOST_RATE_PER_SEC, DEFAULT_HOST_BURST,
+} from './constants.js';
 import { logInfo, logWarn, logError } from './logger.js';
 import { sleep } from './utils.js';
+import { TokenBucket } from './concurrency.js';
+import { archiveKey, readArchiveEntry, writeArchiveEntry } from './archive.js';
+
+// ─── Error classification ────────────────────────────────────────────────────
+// Every failure of fetchWithRetry is a FetchError whose `kind` tells callers
+// what went wrong:
+//   'permanent' – HTTP 4xx (except 403/408/425/429): the URL is gone;
+//                 retrying will not help.
+//   'transient' – HTTP 5xx, 403/408/425/429, timeouts, dropped connections.
+//                 A 403 is how a firewall turns a crawler away for a while,
+//                 not a sign that the URL is dead.
+//   'network'   – DNS lookup failed, connection refused, host unreachable
+//                 (e.g. the connection dropped for a moment).
+// Transient and network failures are retried with backoff.
+//   'aborted'   – cancelled through the caller's AbortSignal.
+//   'offline'   – not in the archive while in offline mode.
+
+export class FetchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {'permanent'|'transient'|'network'|'aborted'|'offline'} details.kind
+   * @param {string} details.url
+   * @param {number|null} [details.status] - HTTP status, when there was a response
+   * @param {Error} [details.cause]
+   */
+  constructor(message, { kind, url, status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'FetchError';
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+const NETWORK_ERROR_CODES = new Set(['ENOTFOUND', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH']);
+const RETRIED_KINDS = new Set(['transient', 'network']);
+
+function classifyStatus(status) {
+  if (status === 403 || status === 408 || status === 425 || status === 429) return 'transient';
+  return status >= 400 && status < 500 ? 'permanent' : 'transient';
+}
+
+/**
+ * Turn whatever fetch() threw into a FetchError.
+ * @param {boolean} timedOut - the abort came from our own timeout
+ */
+function toFetchError(err, url, { timedOut, aborted }) {
+  if (err instanceof FetchError) return err;
+  if (timedOut) {
+    return new FetchError(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s`, { kind: 'transient', url, cause: err });
+  }
+  if (aborted) {
+    return new FetchError('Aborted', { kind: 'aborted', url, cause: err });
+  }
+  // Node's fetch wraps socket/DNS errors: TypeError('fetch failed', { cause }).
+  const code = err.cause?.code || err.code;
+  const kind = NETWORK_ERROR_CODES.has(code) ? 'network' : 'transient';
+  return new FetchError(code ? `${err.message} (${code})` : err.message, { kind, url, cause: err });
+}
+
+// ─── Fetch mode ──────────────────────────────────────────────────────────────
+// 'network'        – always download (default).
+// 'prefer-archive' – serve from the raw-response archive when the URL is
+//                    there, download otherwise (used by --fix-errors).
+// 'offline'        – serve only from the archive; never touch the network.
+// Successful downloads are written to the archive:
+// 'responses'  – in full (default).
+// 'validators' – only their ETag / Last-Modified and content hash (--no-archive).
+// 'none'       – not at all (--dry-run).
+
+let _mode = 'network';
+let _archive = 'responses';
+
+/**
+ * Configure how fetchWithRetry / fetchConditional obtain responses.
+ * @param {Object} options
+ * @param {'network'|'prefer-archive'|'offline'} [options.mode]
+ * @param {'responses'|'validators'|'none'} [options.archive] - what the archive keeps of downloads
+ */
+export function configureFetch({ mode = _mode, archive = _archive } = {}) {
+  _mode = mode;
+  _archive = archive;
+}
+
+// ─── Per-host rate limits ────────────────────────────────────────────────────
+// Every request goes through the token bucket of its host, whichever code path
+// issues it, so concurrent sitemap workers and the ejustice lookups together
+// never exceed the host's rate.
+
+const _hostBuckets = new Map(); // host → TokenBucket
+
+function bucketFor(url) {
+  const host = new URL(url).host;
+  let bucket = _hostBuckets.get(host);
+  if (!bucket) {
+    bucket = new TokenBucket(DEFAULT_HOST_RATE_PER_SEC, DEFAULT_HOST_BURST);
+    _hostBuckets.set(host, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Set the request rate for a host.
+ * @param {string} host - e.g. "juportal.be"
+ * @param {number} ratePerSec
+ * @param {number} [burst]
+ */
+export function setHostRate(host, ratePerSec, burst = 1) {
+  bucketFor(`https://${host}/`).setRate(ratePerSec, burst);
+}
+
+/**
+ * Apply a robots.txt Crawl-delay (in seconds) to a host: one request every
+ * `seconds`, no bursts.
+ */
+export function setCrawlDelay(host, seconds) {
+  if (!(seconds > 0)) return;
+  setHostRate(host, 1 / seconds, 1);
+  logInfo(chalk.gray(`  Crawl-delay for ${host}: ${seconds}s`));
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into
+ * milliseconds.  Returns null when absent or unparsable.
+ */
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff capped
+ * at RETRY_MAX_DELAY_MS, with jitter so parallel workers do not retry in
+ * lockstep.
+ */
+export function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * fetch() gated by the per-host rate limit.  A 429 or 503 carrying a
+ * Retry-After header pauses the whole host for that long, so the other
+ * workers back off too.  The response is returned as-is; retrying is up to
+ * the caller.
+ */
+export async function politeFetch(url, init) {
+  const bucket = bucketFor(url);
+  await bucket.take();
+  const response = await fetch(url, init);
+  if (response.status === 429 || response.status === 503) {
+    const waitMs = retryAfterMs(response);
+    if (waitMs !== null) bucket.pause(waitMs);
+    response.retryAfterMs = waitMs;
+  }
+  return response;
+}
+
+/**
+ * Fetch a URL with retry logic and progress reporting; returns the body.
+ * See fetchConditional for the details.
+ *
+ * @param {string} url
+ * @param {number} [retries]
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - cancels the fetch and any pending retry
+ */
+export async function fetchWithRetry(url, retries = MAX_RETRIES, { signal } = {}) {
+  const { body } = await fetchConditional(url, { retries, signal });
+  return body;
+}
+
+// ─── Outcome listeners ───────────────────────────────────────────────────────
+// Notified of every network request made by fetchConditional (archive hits
+// are not requests):  { url, latencyMs, status, kind }  where status is null
+// when no response arrived and kind is null on success, else the FetchError
+// kind.  Used to drive the adaptive crawl concurrency.
+
+const _outcomeListeners = new Set();
+
+/**
+ * Subscribe to request outcomes.  Returns a function that unsubscribes.
+ * @param {(outcome: {url: string, latencyMs: number, status: number|null, kind: string|null}) => void} listener
+ */
+export function onFetchOutcome(listener) {
+  _outcomeListeners.add(listener);
+  return () => _outcomeListeners.delete(listener);
+}
+
+function emitOutcome(outcome) {
+  for (const listener of _outcomeListeners) listener(outcome);
+}
+
+// Responses served by a 304 versus downloaded in full during this run.
+const _stats = { notModified: 0, downloaded: 0 };
+
+/** Counters of 304 (not modified) and full (200) responses so far. */
+export function getFetchStats() {
+  return { ..._stats };
+}
 
 /**
  * Fetch a URL with retry logic and progress reporting.
  * Shows a message every PROGRESS_INTERVAL_MS to indicate the app is alive.
+ *
+ * When the archive holds an earlier response carrying validators (ETag,
+ * Last-Modified), the request is conditional (If-None-Match /
+ * If-Modified-Since) and a 304 is answered with the archived body.  Without
+ * an archived body (--no-archive) the request is only conditional with
+ * `needBody` false, and a 304 then comes back with a null body.
+ *
+ * Only transient and network failures are retried; anything else is thrown
+ * at once.
+ * Always throws a FetchError (see its `kind`).
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.retries]
+ * @param {AbortSignal} [options.signal] - cancels the fetch and any pending retry
+ * @param {boolean} [options.needBody] - false when a 304 needs no body
+ * @returns {Promise<{body: string|null, unchanged: boolean, previousBody: string|null, known: boolean}>}
+ *   unchanged is true when the server answered 304, the body is identical to
+ *   the archived one, or the body was served from the archive without asking;
+ *   previousBody is the archived body (null when the URL was never archived,
+ *   or only its validators were); known tells whether it was downloaded before.
  */
-export async function fetchWithRetry(url, retries = MAX_RETRIES) {
+export async function fetchConditional(url, { retries = MAX_RETRIES, signal, needBody = true } = {}) {
+  const entry = readArchiveEntry(url);
+  const previousBody = entry?.body ?? null;
+  if (_mode !== 'network') {
+    if (previousBody !== null) return { body: previousBody, unchanged: true, previousBody, known: true };
+    if (_mode === 'offline') {
+      throw new FetchError(`Not in archive (offline mode): ${url}`, { kind: 'offline', url });
+    }
+  }
+
+  const headers = {};
+  if (entry && (previousBody !== null || !needBody)) {
+    if (entry.headers?.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry.headers?.['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+  }
+
   for (let attempt = 1; attempt <= retries; attempt++) {
+    // Wait for the host's rate limit before the timeout starts ticking.
+    await bucketFor(url).take();
+    if (signal?.aborted) throw new FetchError('Aborted', { kind: 'aborted', url });
+
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-    
+    let timedOut = false;
+    const timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, FETCH_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     // Progress timer: print a dot every 5s to show we're alive
     let elapsed = 0;
     const progressTimer = setInterval(() => {
@@ -19,23 +269,51 @@ export async function fetchWithRetry(url, retries = MAX_RETRIES) {
       logInfo(chalk.gray(`  ... still waiting for response (${elapsed}s) - ${url}`));
     }, PROGRESS_INTERVAL_MS);
 
+    const requestStart = Date.now();
+    let status = null;
     try {
-      const response = await fetch(url, { signal: controller.signal });
+      const response = await fetch(url, { signal: controller.signal, headers });
       clearTimeout(timeoutId);
       clearInterval(progressTimer);
+      status = response.status;
 
+      if (response.status === 304 && entry) {
+        signal?.removeEventListener('abort', onAbort);
+        emitOutcome({ url, latencyMs: Date.now() - requestStart, status, kind: null });
+        _stats.notModified++;
+        return { body: previousBody, unchanged: true, previousBody, known: true };
+      }
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        const err = new FetchError(`HTTP ${response.status} ${response.statusText}`, {
+          kind: classifyStatus(response.status),
+          url,
+          status: response.status,
+        });
+        if (response.status === 429 || response.status === 503) {
+          err.retryAfterMs = retryAfterMs(response);
+          if (err.retryAfterMs !== null) bucketFor(url).pause(err.retryAfterMs);
+        }
+        throw err;
       }
-      return await response.text();
-    } catch (err) {
+      const body = await response.text();
+      signal?.removeEventListener('abort', onAbort);
+      emitOutcome({ url, latencyMs: Date.now() - requestStart, status, kind: null });
+      _stats.downloaded++;
+      if (_archive !== 'none') archiveResponse(url, response, body);
+      return { body, unchanged: entry?.key === archiveKey(body), previousBody, known: entry !== null };
+    } catch (caught) {
       clearTimeout(timeoutId);
       clearInterval(progressTimer);
+      signal?.removeEventListener('abort', onAbort);
+      const err = toFetchError(caught, url, { timedOut, aborted: signal?.aborted });
+      emitOutcome({ url, latencyMs: Date.now() - requestStart, status, kind: err.kind });
 
+      if (!RETRIED_KINDS.has(err.kind)) throw err;
       if (attempt < retries) {
+        const delay = err.retryAfterMs ?? backoffDelay(attempt);
         logWarn(`⚠ Attempt ${attempt}/${retries} failed for ${url}: ${err.message}`);
-        logInfo(chalk.gray(`  Retrying in ${RETRY_DELAY_MS / 1000}s...`));
-        await sleep(RETRY_DELAY_MS);
+        logInfo(chalk.gray(`  Retrying in ${(delay / 1000).toFixed(1)}s${err.retryAfterMs != null ? ' (Retry-After)' : ''}...`));
+        await sleep(delay);
       } else {
         logError(`✖ All ${retries} attempts failed for ${url}: ${err.message}`);
         throw err;
@@ -43,3 +321,19 @@ export async function fetchWithRetry(url, retries = MAX_RETRIES) {
     }
   }
 }
+
+/**
+ * Write a response to the archive.  A failing archive write (e.g. disk full)
+ * must not fail the crawl, so errors are only reported.
+ */
+function archiveResponse(url, response, body) {
+  try {
+    writeArchiveEntry(url, {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      body,
+    }, { keepBody: _archive === 'responses' });
+  } catch (err) {
+    logWarn(`⚠ Could not archive ${url}: ${err.message}`);
+  }
+}
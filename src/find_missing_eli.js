@@ -29,13 +29,17 @@ import {
   normalizeEliToFrench, sleep, isInternationalInstrument,
 } from './utils.js';
 import { progress } from './progress.js';
+import { politeFetch, setHostRate, backoffDelay } from './fetch.js';
 import { findSplitText, findEliForArticle } from './split_texts.js';
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
 const EJUSTICE_SEARCH_URL = 'https://www.ejustice.just.fgov.be/cgi_loi/rech_res.pl';
 const EJUSTICE_ARTICLE_URL = 'https://www.ejustice.just.fgov.be/cgi_loi/article.pl';
+// ejustice is queried at most once every REQUEST_DELAY_MS (per-host limit in
+// fetch.js, shared by every caller).
 const REQUEST_DELAY_MS = 1500;
+setHostRate(new URL(EJUSTICE_SEARCH_URL).host, 1000 / REQUEST_DELAY_MS);
 
 const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
 // Default model — can be overridden in settings.json under "openai_model"
@@ -465,19 +469,22 @@ async function searchEjustice(dt, date, titleKeywords, language = 'fr') {
   const maxRetries = 3;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await fetch(EJUSTICE_SEARCH_URL, {
+      const response = await politeFetch(EJUSTICE_SEARCH_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body,
       });
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.retryAfterMs = response.retryAfterMs;
+        throw err;
+      }
 
       const html = await response.text();
-      await sleep(REQUEST_DELAY_MS);
       return parseSearchResults(html);
     } catch (err) {
       if (attempt < maxRetries) {
-        const delay = REQUEST_DELAY_MS * attempt;
+        const delay = err.retryAfterMs ?? backoffDelay(attempt);
         logInfo(chalk.gray(`    ↻ ejustice fetch attempt ${attempt} failed (${err.message}), retrying in ${delay}ms...`));
         await sleep(delay);
       } else {
@@ -487,7 +494,7 @@ async function searchEjustice(dt, date, titleKeywords, language = 'fr') {
   }
 }
 
-/** Cached wrapper – no extra sleep on a cache hit. */
+/** Cached wrapper – no request (and no rate-limit wait) on a cache hit. */
 async function cachedSearchEjustice(dt, date, titleKeywords, language = 'fr') {
   const k = `${dt}|${date || ''}|${titleKeywords || ''}|${language}`;
   if (!_ejusticeSearchCache.has(k)) {
@@ -537,7 +544,12 @@ async function fetchEliFromArticlePage(numac) {
   const maxRetries = 3;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await fetch(url);
+      const response = await politeFetch(url);
+      if (response.status === 429 || response.status === 503) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.retryAfterMs = response.retryAfterMs;
+        throw err;
+      }
       if (!response.ok) return buildFallbackEli(numac);
       const html = await response.text();
       const $ = cheerio.load(html);
@@ -551,14 +563,13 @@ async function fetchEliFromArticlePage(numac) {
       if (!eli) {
         eli = $('a[href*="justel"]').first().attr('href') || null;
       }
-      await sleep(REQUEST_DELAY_MS);
       // If the page exists but carries no ELI link at all (e.g. very old treaties),
       // construct a stable cgi_loi URL from the numac so eliToFilename can derive
       // a correct unique filename (cgi_loi_loi_{numac}.json).
       return eli || buildFallbackEli(numac);
     } catch (err) {
       if (attempt < maxRetries) {
-        const delay = REQUEST_DELAY_MS * attempt;
+        const delay = err.retryAfterMs ?? backoffDelay(attempt);
         logInfo(chalk.gray(`    ↻ ELI fetch attempt ${attempt} failed (${err.message}), retrying in ${delay}ms...`));
         await sleep(delay);
       } else {
@@ -577,7 +588,7 @@ function buildFallbackEli(numac) {
   return `https://www.ejustice.just.fgov.be/cgi_loi/loi_a1.pl?language=fr&la=F&table_name=loi&cn=${encodeURIComponent(numac)}`;
 }
 
-/** Cached wrapper – no extra sleep on a cache hit. */
+/** Cached wrapper – no request (and no rate-limit wait) on a cache hit. */
 async function cachedFetchEli(numac) {
   if (!_numacEliCache.has(numac)) {
     _numacEliCache.set(numac, await fetchEliFromArticlePage(numac));
@@ -694,7 +705,7 @@ async function askChatGptToChoose(candidates, key, elements) {
     `{\"choice\": <1-based index>, \"confidence\": \"high\" | \"medium\" | \"low\", \"reasoning\": \"<one concise sentence>\"}`;
 
   try {
-    const response = await fetch(OPENAI_CHAT_URL, {
+    const response = await politeFetch(OPENAI_CHAT_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -999,7 +1010,7 @@ function storeElementsToDataFile(elements, eli) {
   }
 
   function mergeArr(existing, incoming) {
-    const arr = Array.isArray(existing) ? [...existing] : (existing ? [existing] : []);
+    const arr = existing ? [...existing] : [];
     if (Array.isArray(incoming)) {
       for (const v of incoming) { if (v && !arr.includes(v)) arr.push(v); }
     } else if (incoming && !arr.includes(incoming)) {
@@ -1020,6 +1031,7 @@ function storeElementsToDataFile(elements, eli) {
       abstractFR: mergeArr(existing.abstractFR, element.abstractFR),
       abstractNL: mergeArr(existing.abstractNL, element.abstractNL),
     };
+    if (existing.conclusions) data[article][element.ecli].conclusions = existing.conclusions;
   }
 
   try {
@@ -1164,7 +1176,7 @@ export async function findMissingEli(startFromKey = null) {
             const primaryEli = [...eliCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
             if (primaryEli) entry.eli = primaryEli;
             entry.elements = remainingElements;
-            saveMissingEliFile(missingEli);
+            saveMissingEliFile(missingEli, [key]);
             resolvedCount++;
           } catch (err) {
             logError(`  ✗ Failed to apply change for "${key}": ${err.message}`);
@@ -1423,7 +1435,7 @@ export async function findMissingEli(startFromKey = null) {
           entry.eli = eli;
           entry.elements = [];
         }
-        saveMissingEliFile(missingEli);
+        saveMissingEliFile(missingEli, [key]);
         resolvedCount++;
       } catch (err) {
         logError(`  ✗ Failed to apply change for "${key}": ${err.message}`);
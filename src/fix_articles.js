@@ -249,7 +249,8 @@ export async function fixArticlesFromLog() {
         // Fix in missing_eli.json: update article from "general" to specific
         const missingEli = loadMissingEliFile();
         const lawKey = extractLegalBasisKey(rawText) || base.rawLegalBasisText;
-        const missingEntry = missingEli[lawKey] || missingEli[base.rawLegalBasisText];
+        const missingKey = missingEli[lawKey] ? lawKey : base.rawLegalBasisText;
+        const missingEntry = missingEli[missingKey];
         if (missingEntry && Array.isArray(missingEntry.elements)) {
           const elem = missingEntry.elements.find(
             e => e.ecli === entry.ecli && e.article === 'general'
@@ -264,7 +265,7 @@ export async function fixArticlesFromLog() {
                 missingEntry.elements.push({ ...elem, article: newArticles[ai] });
               }
             }
-            saveMissingEliFile(missingEli);
+            saveMissingEliFile(missingEli, [missingKey]);
             logSuccess(`  ✔ Updated missing_eli.json: general → [${newArticles.join(', ')}]`);
           } else {
             logWarn(`  ⚠ Element not found in missing_eli.json for ${entry.ecli} — skipping`);
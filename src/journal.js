@@ -0,0 +1,98 @@
+/**
+ * Write-ahead journal of the crawl bookkeeping.
+ *
+ * settings.json, missing_eli.json, errors.json, log.json, conclusions.json and
+ * dead_urls.json are only written by flushAll(), while the ELI data files are
+ * written as the crawl goes.  Every change to those stores is therefore also
+ * appended here, one JSON object per line:
+ *
+ *   { op: 'processedSitemap', url }
+ *   { op: 'processedIndex',   url, sitemaps }
+ *   { op: 'unprocessedIndex', url }
+ *   { op: 'missingEli',       key, element }
+ *   { op: 'parseError',       sitemapUrl, rawText }
+ *   { op: 'log',              key, entry }
+ *   { op: 'conclusion',       ecli, conc }      (conc null = removed)
+ *   { op: 'deadUrl',          url, status, message }
+ *   { op: 'missingEliEntries', entries }          (key → entry, null = removed)
+ *   { op: 'missingEliStore',   data }
+ *   { op: 'errorEntries',      entries }          (sitemapUrl → texts, null = removed)
+ *   { op: 'errorStore',        data }
+ *
+ * A successful flushAll() deletes the journal.  If the process dies first,
+ * storage.replayJournal() applies the entries on the next start.  Every op is
+ * idempotent, so replaying entries that did reach the stores is harmless.
+ *
+ * Appends are fsynced at most once per JOURNAL_FSYNC_INTERVAL_MS, and at the
+ * latest that long after the last one; syncJournal() forces it at a commit
+ * boundary.
+ */
+
+import fs from 'fs';
+import { JOURNAL_FILE, JOURNAL_FSYNC_INTERVAL_MS } from './constants.js';
+
+let _fd = null;
+let _lastSync = 0;
+let _syncTimer = null;
+// Only a process that wrote or read the journal may delete it.
+let _owned = false;
+
+/**
+ * Append one entry; fsync now when the last fsync is older than the
+ * interval, otherwise once the interval is over.
+ */
+export function appendJournal(entry) {
+  if (_fd === null) _fd = fs.openSync(JOURNAL_FILE, 'a');
+  _owned = true;
+  fs.writeSync(_fd, JSON.stringify(entry) + '\n');
+  const elapsed = Date.now() - _lastSync;
+  if (elapsed >= JOURNAL_FSYNC_INTERVAL_MS) {
+    syncJournal();
+  } else if (_syncTimer === null) {
+    _syncTimer = setTimeout(syncJournal, JOURNAL_FSYNC_INTERVAL_MS - elapsed);
+    _syncTimer.unref();
+  }
+}
+
+/** fsync every entry appended so far. */
+export function syncJournal() {
+  if (_syncTimer !== null) {
+    clearTimeout(_syncTimer);
+    _syncTimer = null;
+  }
+  if (_fd === null) return;
+  fs.fsyncSync(_fd);
+  _lastSync = Date.now();
+}
+
+/**
+ * Read every journal entry.  A truncated last line (the process died while
+ * writing it) is ignored.
+ * @returns {Object[]}
+ */
+export function readJournal() {
+  if (!fs.existsSync(JOURNAL_FILE)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(JOURNAL_FILE, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch { /* truncated line */ }
+  }
+  _owned = true;
+  return entries;
+}
+
+/** Delete the journal once everything it records is on disk. */
+export function clearJournal() {
+  if (!_owned) return;
+  if (_syncTimer !== null) {
+    clearTimeout(_syncTimer);
+    _syncTimer = null;
+  }
+  if (_fd !== null) {
+    fs.closeSync(_fd);
+    _fd = null;
+  }
+  fs.rmSync(JOURNAL_FILE, { force: true });
+}
@@ -0,0 +1,72 @@
+/**
+ * Single-writer lock for the data directory and the JSON stores.
+ *
+ * crawler.lock holds { pid, command, startedAt } of the run that owns the
+ * data.  A second run (e.g. a manual --find-missing-eli while the scheduled
+ * crawl is going) refuses to start.  A lock whose process no longer exists
+ * is stale and is taken over.  The lock is written to a temporary file and
+ * linked into place, so it never exists half-written: a lock that cannot be
+ * read was left by something else and is stale too.
+ */
+
+import fs from 'fs';
+import { LOCK_FILE } from './constants.js';
+import { logWarn } from './logger.js';
+
+let _held = false;
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user.
+    return err.code === 'EPERM';
+  }
+}
+
+function readLock() {
+  try {
+    return JSON.parse(fs.readFileSync(LOCK_FILE, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take the lock, or throw when another live process holds it.
+ * The lock is released automatically when the process exits.
+ * @param {string} command - shown to whoever finds the lock taken
+ */
+export function acquireLock(command) {
+  const info = { pid: process.pid, command, startedAt: new Date().toISOString() };
+  const tmpPath = `${LOCK_FILE}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, JSON.stringify(info, null, 2));
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.linkSync(tmpPath, LOCK_FILE);
+        _held = true;
+        process.on('exit', releaseLock);
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const owner = readLock();
+      if (owner && owner.pid !== process.pid && isAlive(owner.pid)) {
+        throw new Error(`Another run holds ${LOCK_FILE} (pid ${owner.pid}, started ${owner.startedAt}: ${owner.command})`);
+      }
+      logWarn(`⚠ Removing stale lock${owner ? ` of pid ${owner.pid} (${owner.command})` : ''}`);
+      fs.rmSync(LOCK_FILE, { force: true });
+    }
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+  throw new Error(`Could not acquire ${LOCK_FILE}`);
+}
+
+export function releaseLock() {
+  if (!_held) return;
+  _held = false;
+  if (readLock()?.pid === process.pid) fs.rmSync(LOCK_FILE, { force: true });
+}
@@ -0,0 +1,90 @@
+/**
+ * --migrate: Rewrite every data file and missing_eli.json that was written
+ * with an older schemaVersion (see schema.js) in the current shape.
+ *
+ * Outdated files are already upgraded in memory whenever they are loaded;
+ * this makes the files on disk match, so consumers reading them directly can
+ * rely on the current shape.  Files are rewritten through storage.js, so
+ * --dry-run reports the changes instead.  The SQLite database always holds
+ * the current shape.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { logInfo, logSuccess, logWarn, logError, timestamp } from './logger.js';
+import { getStorage, loadDataFile, saveDataFile, loadMissingEliFile, saveMissingEliFile, flushAll } from './storage.js';
+import { SCHEMA_VERSION, DATA_FILE_MIGRATIONS, MISSING_ELI_MIGRATIONS, versionOf } from './schema.js';
+import { DATA_DIR, MISSING_ELI_FILE } from './constants.js';
+
+/** Schema version of a JSON file on disk; null when it does not exist, throws when unreadable. */
+function fileVersion(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return versionOf(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+function describeSteps(migrations, fromVersions) {
+  const oldest = Math.min(...fromVersions);
+  for (const step of migrations) {
+    if (step.to > oldest) logInfo(chalk.gray(`    → v${step.to}: ${step.description}`));
+  }
+}
+
+export function migrateStoredData() {
+  if (getStorage() === 'sqlite') {
+    logInfo(`${timestamp()} The SQLite database always holds schema v${SCHEMA_VERSION} — nothing to migrate.`);
+    return;
+  }
+
+  logInfo(`${timestamp()} Migrating data files and missing_eli.json to schema v${SCHEMA_VERSION}`);
+  const byVersion = {};
+  const migratedFrom = [];
+  let failed = 0;
+
+  const filenames = fs.existsSync(DATA_DIR) ? fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json')).sort() : [];
+  for (const filename of filenames) {
+    try {
+      const version = fileVersion(path.join(DATA_DIR, filename));
+      byVersion[version] = (byVersion[version] ?? 0) + 1;
+      if (version > SCHEMA_VERSION) throw new Error(`schemaVersion ${version} is newer than this crawler (v${SCHEMA_VERSION})`);
+      if (version === SCHEMA_VERSION) continue;
+      saveDataFile(filename, loadDataFile(filename));
+      migratedFrom.push(version);
+    } catch (err) {
+      logError(`✖ ${filename}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  let missingEliFrom = null;
+  try {
+    const version = fileVersion(MISSING_ELI_FILE);
+    if (version !== null && version < SCHEMA_VERSION) {
+      saveMissingEliFile(loadMissingEliFile());
+      missingEliFrom = version;
+    }
+  } catch (err) {
+    logError(`✖ ${path.basename(MISSING_ELI_FILE)}: ${err.message}`);
+    failed++;
+  }
+
+  console.log(chalk.bold.cyan('\n╔══════════════════════════════════════════╗'));
+  console.log(chalk.bold.cyan('║           MIGRATION COMPLETE             ║'));
+  console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
+  logInfo(`  Data files:             ${filenames.length}`);
+  for (const version of Object.keys(byVersion).sort()) {
+    logInfo(chalk.gray(`    schema v${version}: ${byVersion[version]}`));
+  }
+  logSuccess(`  Data files migrated:    ${migratedFrom.length}`);
+  if (migratedFrom.length > 0) describeSteps(DATA_FILE_MIGRATIONS, migratedFrom);
+  if (missingEliFrom !== null) {
+    logSuccess(`  missing_eli.json migrated from v${missingEliFrom}`);
+    describeSteps(MISSING_ELI_MIGRATIONS, [missingEliFrom]);
+  }
+  if (failed > 0) {
+    logError(`  Failed:                 ${failed}`);
+    logWarn(`⚠ Files that could not be read were left alone — fix them and run --migrate again.`);
+  }
+  logInfo('');
+  flushAll();
+}
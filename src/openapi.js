@@ -0,0 +1,192 @@
+/**
+ * OpenAPI 3.1 description of the --serve API (served as /openapi.json).
+ *
+ * The shapes of judgement records and missing_eli.json elements are the
+ * $defs of the JSON Schemas in schemas/ (also used by --validate), so the
+ * API description cannot drift from the files it serves.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SCHEMAS_DIR, SERVE_PAGE_SIZE, SERVE_MAX_PAGE_SIZE } from './constants.js';
+
+/** The $defs of a schema in schemas/, with their $refs pointing into components. */
+function schemaDefs(name) {
+  const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf-8'));
+  return JSON.parse(JSON.stringify(schema.$defs).replaceAll('"#/$defs/', '"#/components/schemas/'));
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function page(itemSchema, extra = {}) {
+  return {
+    type: 'object',
+    required: [...Object.keys(extra), 'total', 'page', 'pageSize', 'items'],
+    properties: {
+      ...extra,
+      total: { type: 'integer', description: 'Items across all pages' },
+      page: { type: 'integer', minimum: 1 },
+      pageSize: { type: 'integer', minimum: 1 },
+      items: { type: 'array', items: itemSchema },
+    },
+  };
+}
+
+function json(schema, description = 'OK') {
+  return {
+    description,
+    headers: { ETag: { schema: { type: 'string' }, description: 'Send back in If-None-Match to get a 304 when unchanged' } },
+    content: { 'application/json': { schema } },
+  };
+}
+
+const ERRORS = {
+  304: { description: 'Not modified (If-None-Match matched the ETag)' },
+  400: { description: 'Invalid parameter', content: { 'application/json': { schema: ref('Error') } } },
+  404: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+};
+
+const PAGINATION = [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: SERVE_MAX_PAGE_SIZE, default: SERVE_PAGE_SIZE } },
+];
+
+const LAW_PARAM = {
+  name: 'eli',
+  in: 'path',
+  required: true,
+  description: 'The law: its ELI URL or cgi_loi URL (URL-encoded), its ELI path (eli/loi/1984/06/28/1984900065/justel, '
+    + 'slashes allowed), or its id (eli_loi_1984_06_28_1984900065_justel). Dutch ELI types (wet, …) are accepted.',
+  schema: { type: 'string' },
+};
+
+export const OPENAPI = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Juportal crawler dataset',
+    version: '1',
+    description: 'Read-only access to the judgements collected by the crawler, by law and article or by ECLI. '
+      + 'Every response carries an ETag; list endpoints are paginated.',
+  },
+  paths: {
+    '/laws': {
+      get: {
+        summary: 'Laws with at least one citing judgement',
+        parameters: [
+          { name: 'type', in: 'query', schema: { type: 'string' }, description: 'ELI type, e.g. loi, arrete, decret (or the Dutch wet, besluit, …)' },
+          { name: 'year', in: 'query', schema: { type: 'integer' }, description: 'Year of the law' },
+          ...PAGINATION,
+        ],
+        responses: { 200: json(page(ref('LawSummary'))), ...ERRORS },
+      },
+    },
+    '/laws/{eli}': {
+      get: {
+        summary: 'A law and its cited articles',
+        parameters: [LAW_PARAM, ...PAGINATION],
+        responses: { 200: json(ref('Law')), ...ERRORS },
+      },
+    },
+    '/laws/{eli}/articles/{article}': {
+      get: {
+        summary: 'The judgements citing one article of a law',
+        parameters: [
+          LAW_PARAM,
+          { name: 'article', in: 'path', required: true, schema: { type: 'string' }, description: 'Article number as stored (e.g. 1382, 5.4.3, general); URL-encode any "/"' },
+          ...PAGINATION,
+        ],
+        responses: { 200: json(ref('Article')), ...ERRORS },
+      },
+    },
+    '/judgements/{ecli}': {
+      get: {
+        summary: 'Every citation of one judgement, across all laws (found through ecli_index.json)',
+        parameters: [{ name: 'ecli', in: 'path', required: true, schema: ref('ecli') }],
+        responses: {
+          200: json(ref('Judgement')),
+          ...ERRORS,
+          503: { description: 'ecli_index.json has not been built (run --reindex)', content: { 'application/json': { schema: ref('Error') } } },
+        },
+      },
+    },
+    '/missing-eli': {
+      get: {
+        summary: 'Legal bases recorded without an ELI (missing_eli.json)',
+        parameters: [
+          { name: 'resolved', in: 'query', schema: { type: 'boolean' }, description: 'Only entries with (true) or without (false) an ELI found by --find-missing-eli' },
+          { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Case-insensitive substring of the legal basis text' },
+          ...PAGINATION,
+        ],
+        responses: { 200: json(page(ref('MissingEliEntry'))), ...ERRORS },
+      },
+    },
+    '/openapi.json': {
+      get: { summary: 'This document', responses: { 200: json({ type: 'object' }) } },
+    },
+  },
+  components: {
+    schemas: {
+      ...schemaDefs('data_file'),
+      ...schemaDefs('missing_eli'),
+      LawSummary: {
+        type: 'object',
+        required: ['id', 'eli', 'type', 'year'],
+        properties: {
+          id: { type: 'string', description: 'Data file name without .json' },
+          eli: { type: ['string', 'null'] },
+          type: { type: ['string', 'null'] },
+          year: { type: ['integer', 'null'] },
+          date: { type: ['string', 'null'], description: 'Date of the law (ELI laws only)' },
+        },
+      },
+      Law: page(
+        { type: 'object', required: ['article', 'judgements'], properties: { article: { type: 'string' }, judgements: { type: 'integer' } } },
+        { law: ref('LawSummary'), related: { type: ['array', 'null'], description: 'Cross-references injected by --add-related' } },
+      ),
+      Article: page(
+        { type: 'object', required: ['ecli', 'record'], properties: { ecli: ref('ecli'), record: ref('record') } },
+        { law: ref('LawSummary'), article: { type: 'string' } },
+      ),
+      Judgement: {
+        type: 'object',
+        required: ['ecli', 'court', 'date', 'citations', 'missingEli', 'stale'],
+        properties: {
+          ecli: ref('ecli'),
+          court: { type: ['string', 'null'] },
+          date: { type: ['string', 'null'] },
+          citations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['law', 'article', 'record'],
+              properties: { law: ref('LawSummary'), article: { type: 'string' }, record: ref('record') },
+            },
+          },
+          missingEli: {
+            type: 'array',
+            description: 'Legal bases of the judgement still waiting for an ELI in missing_eli.json',
+            items: {
+              type: 'object',
+              required: ['legalBasis', 'eli', 'article'],
+              properties: { legalBasis: { type: 'string' }, eli: { type: ['string', 'null'] }, article: { type: ['string', 'null'] } },
+            },
+          },
+          stale: {
+            type: 'boolean',
+            description: 'ecli_index.json may be behind the data files (a crawl has changes it has not saved yet): citations added since are missing',
+          },
+        },
+      },
+      MissingEliEntry: {
+        type: 'object',
+        required: ['legalBasis', 'eli', 'elements'],
+        properties: {
+          legalBasis: { type: 'string', description: 'The raw legal basis text (the missing_eli.json key)' },
+          eli: { type: ['string', 'null'] },
+          elements: { type: 'array', items: ref('element') },
+        },
+      },
+      Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+    },
+  },
+};
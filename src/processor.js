@@ -1,11 +1,12 @@
 import chalk from 'chalk';
 import { logInfo, logWarn, logError, logSuccess, timestamp } from './logger.js';
-import { saveSettings } from './storage.js';
 import { textSimilarity } from './utils.js';
 import { parseSitemapXml } from './sitemap.js';
 import { fetchJudgementHtml, parseJudgementHtml } from './judgement.js';
-import { storeJudgementData, recordMissingEliData } from './data.js';
-import { appendParseError, appendLogEntry } from './storage.js';
+import { storeJudgementData, recordMissingEliData, storeConclusionData } from './data.js';
+import { markSitemapProcessed, appendParseError, appendLogEntry, recordDeadUrl } from './storage.js';
+import { FetchError } from './fetch.js';
+import { DEFAULT_COURTS } from './constants.js';
 
 // ─── Phase 1 – Network fetch ─────────────────────────────────────────────────
 
@@ -14,23 +15,31 @@ import { appendParseError, appendLogEntry } from './storage.js';
  * Performs all network I/O but writes nothing to disk.
  *
  * Returns a discriminated result object:
- *   { type: 'error',    message }
+ *   { type: 'error',    message, errorKind, status }
  *   { type: 'empty'  }
  *   { type: 'skip',    judgement }
  *   { type: 'no-bases', judgement }
  *   { type: 'save',    judgement, abstractToBasesMap }
  *
+ * Only judgements from the `courts` allow-list are fetched further; the
+ * others come back as type 'skip'.
+ *
+ * errorKind is the FetchError kind of a failed download ('permanent',
+ * 'transient', 'network', 'aborted', 'offline'), or 'parse' when the sitemap
+ * was downloaded but could not be parsed.
+ *
  * Multiple calls can run concurrently — there is no shared mutable state here.
  */
-export async function fetchSitemapResult(sitemapUrl) {
+export async function fetchSitemapResult(sitemapUrl, { courts = DEFAULT_COURTS } = {}) {
   // ── 1. Parse the sitemap XML (one network round-trip) ─────────────────────
   const allUnextractable = [];
   let judgement;
   try {
-    judgement = await parseSitemapXml(sitemapUrl);
+    judgement = await parseSitemapXml(sitemapUrl, { courts });
   } catch (err) {
-    logError(`✖ Failed to parse sitemap ${sitemapUrl}: ${err.message}`);
-    return { type: 'error', message: err.message };
+    const errorKind = err instanceof FetchError ? err.kind : 'parse';
+    logError(`✖ Failed to parse sitemap ${sitemapUrl} (${errorKind}): ${err.message}`);
+    return { type: 'error', message: err.message, errorKind, status: err.status ?? null };
   }
 
   if (!judgement) {
@@ -39,19 +48,27 @@ export async function fetchSitemapResult(sitemapUrl) {
   }
 
   if (judgement.skipped) {
-    const reason = judgement.court !== 'CASS'
-      ? `court: ${judgement.court}, not CASS`
-      : `ECLI: ${judgement.ecli}, not ARR`;
+    const reason = !courts.includes(judgement.court)
+      ? `court: ${judgement.court}, not selected`
+      : `ECLI: ${judgement.ecli}, neither ARR nor CONC`;
     logInfo(chalk.gray(`${timestamp()}     Skipped (${reason})`));
     return { type: 'skip', judgement };
   }
 
-  // ── 2. CASS judgement ─────────────────────────────────────────────────────
-  logInfo(`${timestamp()}     ${chalk.bold('CASS')} | ${judgement.ecli} | ${judgement.judgementDate} | ${judgement.roleNumber || 'N/A'}`);
+  // ── 2. Judgement from a selected court ────────────────────────────────────
+  logInfo(`${timestamp()}     ${chalk.bold(judgement.court)} ${judgement.docType} | ${judgement.ecli} | ${judgement.judgementDate} | ${judgement.roleNumber || 'N/A'}`);
   logInfo(`${timestamp()}     Abstracts: FR=${judgement.abstractsFR.length}, NL=${judgement.abstractsNL.length} | Legal bases: ${judgement.legalBases.length}`);
 
   const xmlMissingEli = judgement.legalBasesWithoutEli || [];
   if (judgement.legalBases.length === 0 && xmlMissingEli.length === 0) {
+    // Conclusions are stored for their abstracts and their judgement alone.
+    if (judgement.docType === 'CONC') {
+      const abstractToBasesMap = [
+        ...judgement.abstractsFR.map(abstractFR => ({ abstractFR, abstractNL: null, legalBases: [], missingEliBases: [] })),
+        ...judgement.abstractsNL.map(abstractNL => ({ abstractFR: null, abstractNL, legalBases: [], missingEliBases: [] })),
+      ];
+      return { type: 'save', judgement, abstractToBasesMap };
+    }
     logWarn(`⚠ No legal bases found for ${judgement.ecli} — skipping data export`);
     return { type: 'no-bases', judgement };
   }
@@ -182,23 +199,42 @@ export async function fetchSitemapResult(sitemapUrl) {
 
 // ─── Phase 2 – Serialised commit (disk writes) ───────────────────────────────
 
+/**
+ * Return the per-court counter bucket, creating it on first use.
+ * counters.byCourt maps a court code to { saved, skipped } so that crawl
+ * summaries can be broken down by court.
+ */
+function courtCounters(counters, court) {
+  if (!counters.byCourt) counters.byCourt = {};
+  const key = court || 'unknown';
+  if (!counters.byCourt[key]) counters.byCourt[key] = { saved: 0, skipped: 0 };
+  return counters.byCourt[key];
+}
+
 /**
  * Write the result from fetchSitemapResult to disk and update counters.
  * MUST be called from a SerialQueue to prevent concurrent read-modify-write
  * races on the same ELI data files.
  *
- * Updates counters in-place. Returns true on success, false on error.
+ * Updates counters in-place (including the per-court breakdown in
+ * counters.byCourt). Returns true on success, false on error.
  * When markProcessed is true the URL is pushed to settings.processedSitemaps.
+ *
+ * A sitemap that failed permanently (e.g. HTTP 404) is recorded in
+ * dead_urls.json and counts as done, so its index can still complete.
  */
 export function commitSitemapResult(result, sitemapUrl, settings, counters, { markProcessed = true, log = false } = {}) {
   const markDone = () => {
-    if (markProcessed) {
-      settings.processedSitemaps.push(sitemapUrl);
-      saveSettings(settings);
-    }
+    if (markProcessed) markSitemapProcessed(settings, sitemapUrl);
   };
 
   if (result.type === 'error') {
+    if (result.errorKind === 'permanent') {
+      recordDeadUrl(sitemapUrl, { status: result.status, message: result.message });
+      counters.deadCount++;
+      logWarn(`⚠ Recorded dead sitemap in dead_urls.json: ${sitemapUrl}`);
+      return true;
+    }
     counters.errorCount++;
     return false;
   }
@@ -210,6 +246,7 @@ export function commitSitemapResult(result, sitemapUrl, settings, counters, { ma
 
   if (result.type === 'skip') {
     counters.skippedCourt++;
+    courtCounters(counters, result.judgement.court).skipped++;
     markDone();
     return true;
   }
@@ -219,11 +256,29 @@ export function commitSitemapResult(result, sitemapUrl, settings, counters, { ma
   for (const rawText of unextractable) {
     appendParseError(sitemapUrl, rawText);
   }
+
+  // Conclusions live in conclusions.json, not in the ELI data files; their
+  // legal bases without ELI stay attached to them instead of missing_eli.json.
+  if (judgement.docType === 'CONC') {
+    try {
+      storeConclusionData(judgement, abstractToBasesMap, sitemapUrl);
+      counters.savedConclusions++;
+      logSuccess(`✔ Saved conclusions ${judgement.ecli}`);
+    } catch (err) {
+      logError(`✖ Failed to save conclusions ${judgement.ecli}: ${err.message}`);
+      counters.errorCount++;
+      return false;
+    }
+    markDone();
+    return true;
+  }
+
   recordMissingEliData(judgement, abstractToBasesMap, sitemapUrl);
 
   try {
     storeJudgementData(judgement, abstractToBasesMap, sitemapUrl);
     counters.savedJudgements++;
+    courtCounters(counters, judgement.court).saved++;
     logSuccess(`✔ Saved data for ${judgement.ecli}`);
 
     // Append log entry when --log is active
@@ -276,8 +331,8 @@ export function commitSitemapResult(result, sitemapUrl, settings, counters, { ma
  * Updates counters in-place. Returns true on success, false on error.
  * When markProcessed is true the URL is added to settings.processedSitemaps.
  */
-export async function processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed = true, log = false } = {}) {
-  const result = await fetchSitemapResult(sitemapUrl);
+export async function processSingleSitemapUrl(sitemapUrl, settings, counters, { markProcessed = true, log = false, courts = DEFAULT_COURTS } = {}) {
+  const result = await fetchSitemapResult(sitemapUrl, { courts });
   return commitSitemapResult(result, sitemapUrl, settings, counters, { markProcessed, log });
 }
 
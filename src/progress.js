@@ -20,9 +20,10 @@ class ProgressTracker {
     this._pendingIndexes = 0;      // indexes that need actual work (for ETA)
     this._processedPending = 0;    // pending indexes actually worked through
 
-    // Sitemap-level progress (current index)
-    this.currentIndexTotal = 0;   // sitemaps in the active index
-    this.currentIndexDone = 0;    // sitemaps completed in the active index
+    // Sitemap-level progress (open indexes)
+    this.currentIndexTotal = 0;   // sitemaps in the open indexes
+    this.currentIndexDone = 0;    // sitemaps completed in the open indexes
+    this._openIndexes = 0;        // indexes begun but not yet ended
 
     // Rolling statistics for ETA
     this._sitemapTimes = [];      // ms durations for each sitemap
@@ -54,21 +55,40 @@ class ProgressTracker {
     this._rendered = false;
   }
 
+  /**
+   * Update the parallel fetch factor used for the ETA (the adaptive
+   * limiter's current limit).
+   * @param {number} concurrency
+   */
+  setConcurrency(concurrency) {
+    this._concurrency = Math.max(1, concurrency);
+    this.render();
+  }
+
   // ── Index lifecycle ────────────────────────────────────────────────────────
 
+  // Several indexes can be open at once (their sitemaps share the fetch
+  // slots); the sitemap counters cover all of them.
+
   beginIndex(sitemapCount) {
-    this.currentIndexTotal = sitemapCount;
-    this.currentIndexDone = 0;
+    this._openIndexes++;
+    this.currentIndexTotal += sitemapCount;
   }
 
-  endIndex() {
+  /**
+   * @param {number} [sitemapCount] - the count passed to beginIndex(); omit
+   *   for an index that failed before it was begun
+   */
+  endIndex(sitemapCount) {
     this.doneIndexes++;
     this._processedPending++;
-    if (this.currentIndexTotal > 0) {
-      this._sitemapsPerIndex.push(this.currentIndexTotal);
+    if (sitemapCount === undefined) return;
+    this._openIndexes--;
+    if (sitemapCount > 0) {
+      this._sitemapsPerIndex.push(sitemapCount);
     }
-    this.currentIndexTotal = 0;
-    this.currentIndexDone = 0;
+    this.currentIndexTotal -= sitemapCount;
+    this.currentIndexDone -= sitemapCount;
   }
 
   // ── Sitemap lifecycle ──────────────────────────────────────────────────────
@@ -165,7 +185,7 @@ class ProgressTracker {
 
     const remainingInCurrentIndex = this.currentIndexTotal - this.currentIndexDone;
     // Use pending-only counters so already-skipped indexes don't distort ETA
-    const remainingIndexes = this._pendingIndexes - this._processedPending - 1; // -1 for current
+    const remainingIndexes = this._pendingIndexes - this._processedPending - Math.max(1, this._openIndexes);
 
     let estimatedSitemaps = remainingInCurrentIndex;
     if (remainingIndexes > 0) {
@@ -206,9 +226,9 @@ class ProgressTracker {
     // Index counter
     const idxStr = `idx ${done}/${total}`;
 
-    // Sitemap within current index
+    // Sitemaps within the open indexes
     const smStr = this.currentIndexTotal > 0
-      ? `sitemap ${this.currentIndexDone}/${this.currentIndexTotal}`
+      ? `sitemap ${this.currentIndexDone}/${this.currentIndexTotal}${this._openIndexes > 1 ? ` in ${this._openIndexes} idx` : ''}`
       : '';
 
     // ETA
@@ -219,7 +239,10 @@ class ProgressTracker {
     const elapsed = this._formatDuration(Date.now() - this._crawlStart);
     const elapsedStr = `elapsed ${elapsed}`;
 
-    const parts = [idxStr, smStr, etaStr, elapsedStr].filter(Boolean);
+    // Parallelism
+    const parStr = this._concurrency > 1 ? `×${this._concurrency}` : '';
+
+    const parts = [idxStr, smStr, parStr, etaStr, elapsedStr].filter(Boolean);
     const quitHint = chalk.gray(' │ Press ') + chalk.bold.cyan('q') + chalk.gray(' to quit');
     return `${bar} ${chalk.bold(pctStr)} ${chalk.gray('│')} ${parts.join(chalk.gray(' │ '))} ${quitHint}`;
   }
@@ -0,0 +1,152 @@
+/**
+ * RDF serialisations of the export rows (--export ttl|jsonld, see export.js).
+ *
+ * Laws and articles are described with the ELI ontology, judgements with the
+ * Dublin Core terms of the ECLI metadata scheme (the same elements Juportal's
+ * sitemaps carry):
+ *
+ *   <law>            a eli:LegalResource ; eli:title "…"@fr ; eli:has_part <law#art_1382>
+ *   <law#art_1382>   a eli:LegalResourceSubdivision ; eli:is_part_of <law> ;
+ *                    eli:number "1382" ; eli:related_to <other law#art_…>   ("related" of --add-related)
+ *   <judgement>      dcterms:type "judgment" ;
+ *                    dcterms:isVersionOf "ECLI:…" ; dcterms:creator "CASS" ;
+ *                    dcterms:date "…"^^xsd:date ; dcterms:abstract "…"@fr, "…"@nl ;
+ *                    dcterms:source <sitemap> ; eli:cites <law#art_1382>
+ *
+ * Law IRIs are their ELI (or cgi_loi URL); articles are fragments of it, and
+ * "general" citations point at the law itself.  Judgement IRIs are the ECLI
+ * under ECLI_IRI_BASE.  The ECLI metadata scheme has no class for them: their
+ * kind is the dcterms:type "judgment" (ARR) or "conclusion" (CONC), read from
+ * the ECLI as the sitemap parser does.  Role numbers have no ECLI metadata
+ * element and are left out (the CSV / JSONL exports keep them).
+ *
+ * Both serialisations are streamed: every row and law becomes a few nodes,
+ * and a judgement citing several articles is described once per citation —
+ * RDF merges the duplicates when the file is loaded.
+ */
+
+import { ECLI_IRI_BASE } from './constants.js';
+
+const PREFIXES = {
+  eli: 'http://data.europa.eu/eli/ontology#',
+  dcterms: 'http://purl.org/dc/terms/',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+};
+
+// ─── Nodes ───────────────────────────────────────────────────────────────────
+// A node is { id, type?, props: [[predicate, value], …] } where a value is
+// { iri } or { literal, lang?, datatype? }; both serialisers below take it.
+
+const iri = value => ({ iri: value });
+
+function articleIri(eli, article) {
+  return article === 'general' ? eli : `${eli}#art_${encodeURIComponent(article)}`;
+}
+
+function articleNode(eli, article) {
+  return {
+    id: articleIri(eli, article),
+    type: 'eli:LegalResourceSubdivision',
+    props: [['eli:is_part_of', iri(eli)], ['eli:number', { literal: article }]],
+  };
+}
+
+/** Nodes of a law: the law, its cited articles and their "related" articles. */
+function lawNodes({ eli, names, articles, related }) {
+  const law = {
+    id: eli,
+    type: 'eli:LegalResource',
+    props: [
+      ...Object.entries(names).map(([lang, name]) => ['eli:title', { literal: name, lang }]),
+      ...articles.filter(article => article !== 'general').map(article => ['eli:has_part', iri(articleIri(eli, article))]),
+    ],
+  };
+  const nodes = new Map(articles.filter(article => article !== 'general').map(article => [article, articleNode(eli, article)]));
+  const others = [];
+  for (const { fromELI, articles: mapping = {} } of related) {
+    if (!fromELI) continue;
+    for (const [article, sources] of Object.entries(mapping)) {
+      if (!nodes.has(article)) continue;
+      for (const source of sources) {
+        nodes.get(article).props.push(['eli:related_to', iri(articleIri(fromELI, source))]);
+        others.push(articleNode(fromELI, source));
+      }
+    }
+  }
+  return [law, ...nodes.values(), ...others];
+}
+
+/** The judgement node of an export row, with its citation. */
+function citationNode(row) {
+  return {
+    id: `${ECLI_IRI_BASE}${row.ecli}`,
+    props: [
+      ['dcterms:type', { literal: row.ecli.includes('CONC') ? 'conclusion' : 'judgment' }],
+      ['dcterms:isVersionOf', { literal: row.ecli }],
+      ...(row.court ? [['dcterms:creator', { literal: row.court }]] : []),
+      ...(row.date ? [['dcterms:date', { literal: row.date, datatype: 'xsd:date' }]] : []),
+      ...row.abstractFR.map(text => ['dcterms:abstract', { literal: text, lang: 'fr' }]),
+      ...row.abstractNL.map(text => ['dcterms:abstract', { literal: text, lang: 'nl' }]),
+      ...row.sitemap.map(url => ['dcterms:source', iri(url)]),
+      ['eli:cites', iri(articleIri(row.eli, row.article))],
+    ],
+  };
+}
+
+// ─── Turtle ──────────────────────────────────────────────────────────────────
+
+// Characters an IRIREF cannot hold are percent-encoded.
+const turtleIri = value => `<${value.replace(/[\u0000- <>"{}|^`\\]/g, c => encodeURIComponent(c))}>`;
+
+const TURTLE_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+function turtleValue(value) {
+  if (value.iri) return turtleIri(value.iri);
+  const text = `"${value.literal.replace(/[\\"\n\r\t]/g, c => TURTLE_ESCAPES[c])}"`;
+  return value.lang ? `${text}@${value.lang}` : value.datatype ? `${text}^^${value.datatype}` : text;
+}
+
+function turtleNode({ id, type, props }) {
+  const lines = [...(type ? [`a ${type}`] : []), ...props.map(([predicate, value]) => `${predicate} ${turtleValue(value)}`)];
+  return `${turtleIri(id)}\n    ${lines.join(' ;\n    ')} .\n\n`;
+}
+
+export function turtleFormat() {
+  return {
+    header: Object.entries(PREFIXES).map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .\n`).join('') + '\n',
+    row: row => turtleNode(citationNode(row)),
+    law: law => lawNodes(law).map(turtleNode).join(''),
+    footer: '',
+  };
+}
+
+// ─── JSON-LD ─────────────────────────────────────────────────────────────────
+
+function jsonLdValue(value) {
+  if (value.iri) return { '@id': value.iri };
+  if (value.lang) return { '@value': value.literal, '@language': value.lang };
+  if (value.datatype) return { '@value': value.literal, '@type': value.datatype };
+  return value.literal;
+}
+
+function jsonLdNode({ id, type, props }) {
+  const node = { '@id': id, ...(type && { '@type': type }) };
+  for (const [predicate, value] of props) (node[predicate] ??= []).push(jsonLdValue(value));
+  return node;
+}
+
+/** One JSON document: { "@context", "@graph": [nodes…] }, written node by node. */
+export function jsonLdFormat() {
+  let first = true;
+  const nodes = list => list.map((node) => {
+    const json = `${first ? '' : ',\n'}  ${JSON.stringify(jsonLdNode(node))}`;
+    first = false;
+    return json;
+  }).join('');
+  return {
+    header: `{\n"@context": ${JSON.stringify(PREFIXES)},\n"@graph": [\n`,
+    row: row => nodes([citationNode(row)]),
+    law: law => nodes(lawNodes(law)),
+    footer: '\n]}\n',
+  };
+}
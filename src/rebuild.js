@@ -0,0 +1,241 @@
+/**
+ * --rebuild: Regenerate the ELI data files from the raw-response archive.
+ *
+ * Every archived sitemap is replayed through fetchSitemapResult /
+ * commitSitemapResult (in offline mode, so nothing is downloaded) into a
+ * fresh data.rebuild/ directory.  The "related" cross-references injected by
+ * --add-related are carried over from the current files, since they do not
+ * come from juportal.
+ *
+ * Before anything is swapped in, a per-file summary of the ECLI-article pairs
+ * added and removed versus the current data/ is printed.  After confirmation
+ * data/ is moved to data.old/ and data.rebuild/ takes its place.  With the
+ * SQLite storage the database is copied to juportal.old.sqlite instead, and
+ * data.rebuild/ is imported into it.  What the replay records into
+ * missing_eli.json, errors.json, conclusions.json and log.json is dropped
+ * unless the rebuilt data is swapped in.
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+import readline from 'node:readline';
+import { logInfo, logSuccess, logWarn, logError, timestamp } from './logger.js';
+import { setDataDir, listDataFiles, loadDataFile, saveDataFile, flushAll, isDryRun, clearDataDir, getStorage, importJsonIntoSqlite,
+  dataFilesReplaced, snapshotStores, restoreStores, dropStoreSnapshot } from './storage.js';
+import { configureFetch } from './fetch.js';
+import { listArchivedUrls } from './archive.js';
+import { extractDateFromUrl } from './sitemap.js';
+import { fetchSitemapResult, commitSitemapResult } from './processor.js';
+import { DATA_DIR, REBUILD_DIR, DATA_OLD_DIR, SQLITE_FILE, SQLITE_OLD_FILE } from './constants.js';
+
+/**
+ * Individual sitemaps (not sitemap indexes) end in "sitemap_<N>.xml".
+ */
+function isSitemapUrl(url) {
+  return /\/sitemap_\d+\.xml$/.test(url);
+}
+
+function promptUser(question) {
+  return new Promise((resolve) => {
+    const wasRaw = process.stdin.isRaw;
+    if (wasRaw) process.stdin.setRawMode(false);
+    process.stdin.ref();
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, (answer) => {
+      rl.close();
+      if (wasRaw) process.stdin.resume();
+      process.stdin.unref();
+      if (wasRaw) process.stdin.setRawMode(true);
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+/**
+ * Return the set of "article\tECLI" pairs stored in a data file of the
+ * current data directory (the "related" key is not an article).
+ */
+function readPairs(filename) {
+  const pairs = new Set();
+  const data = loadDataFile(filename);
+  for (const [article, eclis] of Object.entries(data)) {
+    if (article === 'related') continue;
+    for (const ecli of Object.keys(eclis)) pairs.add(`${article}\t${ecli}`);
+  }
+  return pairs;
+}
+
+/**
+ * Compare every data file of data/ and data.rebuild/.
+ * Returns [{ filename, added, removed }] for the files that differ.
+ */
+function diffDataDirs() {
+  setDataDir(DATA_DIR);
+  const currentFiles = listDataFiles();
+  setDataDir(REBUILD_DIR);
+  const rebuiltFiles = listDataFiles();
+
+  const changes = [];
+  for (const filename of [...new Set([...currentFiles, ...rebuiltFiles])].sort()) {
+    setDataDir(DATA_DIR);
+    const before = readPairs(filename);
+    setDataDir(REBUILD_DIR);
+    const after = readPairs(filename);
+
+    const added = [...after].filter(p => !before.has(p)).length;
+    const removed = [...before].filter(p => !after.has(p)).length;
+    if (added > 0 || removed > 0) changes.push({ filename, added, removed });
+  }
+  return changes;
+}
+
+/**
+ * Copy the top-level "related" arrays of the current data files into the
+ * rebuilt ones.
+ */
+function carryOverRelated() {
+  setDataDir(DATA_DIR);
+  const related = [];
+  for (const filename of listDataFiles()) {
+    const data = loadDataFile(filename);
+    if (Array.isArray(data.related)) related.push([filename, data.related]);
+  }
+  setDataDir(REBUILD_DIR);
+  for (const [filename, entries] of related) {
+    const data = loadDataFile(filename);
+    data.related = entries;
+    saveDataFile(filename, data);
+  }
+  return related.length;
+}
+
+/**
+ * Replay the archive into data.rebuild/, report the differences with data/
+ * and swap the directories once confirmed.
+ *
+ * @param {Object} options
+ * @param {string[]} options.courts - court allow-list (see --courts)
+ * @param {boolean} [options.log]   - write log.json entries (see --log)
+ * @param {boolean} [options.assumeYes] - swap without asking (--yes)
+ */
+export async function rebuildFromArchive({ courts, log = false, assumeYes = false }) {
+  const sitemapUrls = listArchivedUrls()
+    .map(e => e.url)
+    .filter(isSitemapUrl)
+    .sort((a, b) => extractDateFromUrl(b).localeCompare(extractDateFromUrl(a)) || a.localeCompare(b));
+
+  if (sitemapUrls.length === 0) {
+    logWarn('⚠ The archive contains no sitemaps — nothing to rebuild. Run a crawl first.');
+    return;
+  }
+
+  // missing_eli.json, errors.json, conclusions.json, log.json and
+  // dead_urls.json only keep what the replay recorded if the rebuilt data is
+  // swapped in.
+  snapshotStores();
+  let swapped = false;
+  try {
+    swapped = await replayAndSwap(sitemapUrls, { courts, log, assumeYes });
+  } finally {
+    if (swapped) dropStoreSnapshot();
+    else restoreStores();
+  }
+  flushAll();
+}
+
+/**
+ * Replay `sitemapUrls` into data.rebuild/, print the differences with data/
+ * and swap the directories if confirmed.  Returns whether it was swapped in.
+ */
+async function replayAndSwap(sitemapUrls, { courts, log, assumeYes }) {
+  logInfo(`${timestamp()} Rebuilding from ${chalk.bold(sitemapUrls.length)} archived sitemap(s) into ${REBUILD_DIR}`);
+  clearDataDir(REBUILD_DIR, { recreate: true });
+
+  configureFetch({ mode: 'offline' });
+  setDataDir(REBUILD_DIR);
+
+  // Replays never update settings.json: the processed state of the crawl is
+  // unaffected by a rebuild.
+  const scratchSettings = { processedSitemapIndexes: [], processedSitemaps: [] };
+  const counters = { skippedCourt: 0, savedJudgements: 0, savedConclusions: 0, errorCount: 0, deadCount: 0, recrawledSitemaps: 0, byCourt: {} };
+
+  for (let i = 0; i < sitemapUrls.length; i++) {
+    const sitemapUrl = sitemapUrls[i];
+    logInfo(chalk.gray(`${timestamp()} [${i + 1}/${sitemapUrls.length}] ${sitemapUrl}`));
+    const result = await fetchSitemapResult(sitemapUrl, { courts });
+    commitSitemapResult(result, sitemapUrl, scratchSettings, counters, { markProcessed: false, log });
+  }
+
+  const relatedCount = carryOverRelated();
+  if (relatedCount > 0) {
+    logInfo(chalk.gray(`  Carried over "related" cross-references of ${relatedCount} file(s).`));
+  }
+
+  // ── Per-file summary versus the current data/ ──────────────────────────────
+  const changes = diffDataDirs();
+  setDataDir(DATA_DIR);
+
+  console.log(chalk.bold.cyan('\n╔══════════════════════════════════════════╗'));
+  console.log(chalk.bold.cyan('║            REBUILD COMPLETE              ║'));
+  console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
+  logSuccess(`  Judgements replayed:    ${counters.savedJudgements}`);
+  logInfo(`  Conclusions replayed:   ${counters.savedConclusions}`);
+  logInfo(`  Skipped:                ${counters.skippedCourt}`);
+  if (counters.errorCount > 0) logError(`  Errors:                 ${counters.errorCount}`);
+  logInfo('');
+
+  if (changes.length === 0) {
+    logSuccess('✔ The rebuilt data is identical to data/ — nothing to swap.');
+    clearDataDir(REBUILD_DIR);
+    return false;
+  }
+
+  let totalAdded = 0;
+  let totalRemoved = 0;
+  for (const { filename, added, removed } of changes) {
+    totalAdded += added;
+    totalRemoved += removed;
+    logInfo(`  ${chalk.green(`+${added}`.padStart(7))} ${chalk.red(`-${removed}`.padStart(7))}  ${filename}`);
+  }
+  logInfo(chalk.bold(`  ${chalk.green(`+${totalAdded}`.padStart(7))} ${chalk.red(`-${totalRemoved}`.padStart(7))}  ECLI-article pairs in ${changes.length} file(s)`));
+  logInfo('');
+
+  if (totalRemoved > 0) {
+    logWarn(`⚠ Removed pairs include judgements crawled before their sitemaps were archived, or from courts not selected.`);
+  }
+  if (counters.errorCount > 0) {
+    logWarn(`⚠ ${counters.errorCount} sitemap(s) could not be replayed — their judgements are missing from the rebuild.`);
+  }
+
+  let answer = assumeYes ? 'yes' : 'no';
+  if (!assumeYes && !isDryRun() && process.stdin.isTTY) {
+    answer = await promptUser(chalk.yellow('  Swap the rebuilt data in (data/ → data.old/)? ') + chalk.gray('(yes/no) ') + chalk.bold('> '));
+  }
+
+  const swap = answer === 'yes' || answer === 'y';
+  if (isDryRun()) {
+    // The rebuilt files only exist in the dry-run overlay; drop them so the
+    // final report covers the real data/ and stores only.
+    clearDataDir(REBUILD_DIR);
+    logInfo('  Dry run — rebuilt data not swapped in.');
+    return false;
+  }
+  if (!swap) {
+    logInfo(`  Rebuilt data left in ${REBUILD_DIR} (re-run with --yes to swap it in).`);
+    return false;
+  }
+  if (getStorage() === 'sqlite') {
+    fs.copyFileSync(SQLITE_FILE, SQLITE_OLD_FILE);
+    importJsonIntoSqlite({ dataDir: REBUILD_DIR, missingEli: false });
+    fs.rmSync(REBUILD_DIR, { recursive: true, force: true });
+    logSuccess(`✔ Rebuilt data imported into ${SQLITE_FILE}; previous database kept in ${SQLITE_OLD_FILE}`);
+  } else {
+    fs.rmSync(DATA_OLD_DIR, { recursive: true, force: true });
+    fs.renameSync(DATA_DIR, DATA_OLD_DIR);
+    fs.renameSync(REBUILD_DIR, DATA_DIR);
+    logSuccess(`✔ Rebuilt data swapped in; previous data kept in ${DATA_OLD_DIR}`);
+    dataFilesReplaced();
+  }
+  return true;
+}
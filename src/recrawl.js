@@ -0,0 +1,91 @@
+/**
+ * Re-crawl of republished sitemaps (--check-republished).
+ *
+ * Juportal sometimes republishes a sitemap after the fact (new ELI links,
+ * corrected article numbers or abstracts).  Merging the new version into the
+ * data files would keep the stale legal bases next to the corrected ones, so
+ * the judgements of a changed sitemap are removed first and then stored again
+ * from the current version.
+ */
+
+import chalk from 'chalk';
+import { logInfo, logWarn, timestamp } from './logger.js';
+import { Semaphore, SerialQueue } from './concurrency.js';
+import { fetchSitemapResult, commitSitemapResult } from './processor.js';
+import { findJudgementSitemaps, removeJudgementData, removeConclusionData } from './data.js';
+import { DEFAULT_COURTS, SITEMAP_CONCURRENCY } from './constants.js';
+
+/** Fetch `sitemapUrls` into `results` (URL → fetch result). */
+async function fetchResults(sitemapUrls, results, courts, limiter) {
+  await Promise.all(sitemapUrls.map(async (sitemapUrl) => {
+    await limiter.acquire();
+    try {
+      logInfo(chalk.gray(`${timestamp()}   Re-fetching: ${sitemapUrl}`));
+      results.set(sitemapUrl, await fetchSitemapResult(sitemapUrl, { courts }));
+    } finally {
+      limiter.release();
+    }
+  }));
+}
+
+/**
+ * Re-process changed sitemaps with replace semantics.
+ *
+ * Every sitemap that contributed to a replaced judgement record is
+ * re-processed as well, so what it added is restored.  Sitemaps stay marked
+ * as processed (they already are, through their index).
+ *
+ * Sitemaps are fetched outside `commitQueue`; the removal and the commits run
+ * in one task of it, so no other commit lands in between.  When that task
+ * finds a contributing sitemap not fetched yet (another commit added it
+ * meanwhile) it leaves the data untouched, and the sitemap is fetched before
+ * trying again.
+ *
+ * @param {string[]} sitemapUrls - the changed sitemaps
+ * @param {Object} settings
+ * @param {Object} counters - crawl counters, updated in-place
+ * @param {Object} [options]
+ * @param {string[]} [options.courts]
+ * @param {boolean} [options.log] - write log.json entries (see --log)
+ * @param {{acquire: Function, release: Function}} [options.limiter] - fetch
+ *   slots, shared with the crawl (SITEMAP_CONCURRENCY of its own by default)
+ * @param {SerialQueue} [options.commitQueue] - the crawl's commit queue
+ * @returns {Promise<boolean>} false when a sitemap could not be re-processed
+ */
+export async function recrawlSitemaps(sitemapUrls, settings, counters, {
+  courts = DEFAULT_COURTS, log = false, limiter = new Semaphore(SITEMAP_CONCURRENCY), commitQueue = new SerialQueue(),
+} = {}) {
+  const results = new Map();
+  await fetchResults(sitemapUrls, results, courts, limiter);
+
+  for (;;) {
+    const unfetched = await commitQueue.enqueue(() => {
+      const judgementEclis = new Set();
+      const conclusionEclis = new Set();
+      for (const result of results.values()) {
+        if (result.type !== 'save' && result.type !== 'no-bases') continue;
+        const { ecli, docType } = result.judgement;
+        (docType === 'CONC' ? conclusionEclis : judgementEclis).add(ecli);
+      }
+
+      const contributing = [...findJudgementSitemaps(judgementEclis)].filter(url => !results.has(url));
+      if (contributing.length > 0) return contributing;
+
+      removeJudgementData(judgementEclis);
+      removeConclusionData(conclusionEclis);
+      let ok = true;
+      for (const [sitemapUrl, result] of results) {
+        if (!commitSitemapResult(result, sitemapUrl, settings, counters, { markProcessed: false, log })) {
+          ok = false;
+          logWarn(`⚠ Could not re-process ${sitemapUrl}`);
+        }
+      }
+      counters.recrawledSitemaps += results.size;
+      return ok;
+    });
+    if (!Array.isArray(unfetched)) return unfetched;
+
+    logInfo(chalk.gray(`${timestamp()}   ${unfetched.length} other sitemap(s) contributed to these judgements — re-processing them too`));
+    await fetchResults(unfetched, results, courts, limiter);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Versioned shape of the ELI data files and missing_eli.json.
+ *
+ * Both are stamped with a top-level "schemaVersion" when written; a file
+ * without one predates versioning (version 1).  The stamp only exists on
+ * disk: upgradeDataFile() / upgradeMissingEli() remove it on load and apply
+ * the migration steps the file is missing, so the rest of the crawler always
+ * sees the current shape.  --migrate (see migrate.js) rewrites every outdated
+ * file once.
+ *
+ * Adding a version: append a step to DATA_FILE_MIGRATIONS and/or
+ * MISSING_ELI_MIGRATIONS and bump SCHEMA_VERSION.  Steps run in order and
+ * change the object in place.
+ */
+
+export const SCHEMA_VERSION = 2;
+
+/** Turn a legacy scalar into a one-element array; empty values become null. */
+function toArray(value) {
+  const arr = Array.isArray(value) ? value.filter(Boolean) : (value ? [value] : []);
+  return arr.length > 0 ? arr : null;
+}
+
+function forEachRecord(data, fn) {
+  for (const [article, eclis] of Object.entries(data)) {
+    if (article === 'related') continue;
+    for (const record of Object.values(eclis)) fn(record);
+  }
+}
+
+export const DATA_FILE_MIGRATIONS = [
+  {
+    to: 2,
+    description: 'sitemap, abstractFR, abstractNL and conclusions are arrays (null when empty)',
+    migrate(data) {
+      forEachRecord(data, (record) => {
+        record.sitemap = toArray(record.sitemap);
+        record.abstractFR = toArray(record.abstractFR);
+        record.abstractNL = toArray(record.abstractNL);
+        if ('conclusions' in record) {
+          const conclusions = toArray(record.conclusions);
+          if (conclusions) record.conclusions = conclusions;
+          else delete record.conclusions;
+        }
+      });
+    },
+  },
+];
+
+export const MISSING_ELI_MIGRATIONS = [
+  {
+    to: 2,
+    description: 'the sitemap of every element is an array',
+    migrate(data) {
+      for (const entry of Object.values(data)) {
+        for (const element of entry.elements ?? []) element.sitemap = toArray(element.sitemap) ?? [];
+      }
+    },
+  },
+];
+
+/** Version a stored (stamped) object was written with. */
+export function versionOf(stored) {
+  return stored?.schemaVersion ?? 1;
+}
+
+function upgrade(stored, migrations, what) {
+  const { schemaVersion = 1, ...data } = stored;
+  if (!Number.isInteger(schemaVersion) || schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${what} has schemaVersion ${schemaVersion}, this crawler only knows up to ${SCHEMA_VERSION}`);
+  }
+  for (const step of migrations) {
+    if (step.to > schemaVersion) step.migrate(data);
+  }
+  return data;
+}
+
+/**
+ * Bring a data file read from disk to the current shape (without its stamp).
+ * Throws when it was written by a newer version.
+ */
+export function upgradeDataFile(stored) {
+  return upgrade(stored, DATA_FILE_MIGRATIONS, 'Data file');
+}
+
+/** Same as upgradeDataFile(), for missing_eli.json. */
+export function upgradeMissingEli(stored) {
+  return upgrade(stored, MISSING_ELI_MIGRATIONS, 'missing_eli.json');
+}
+
+/** The object to write to disk: `data` stamped with the current version. */
+export function stamp(data) {
+  return { schemaVersion: SCHEMA_VERSION, ...data };
+}
@@ -0,0 +1,443 @@
+/**
+ * --search: Full-text search over the abstracts of the ELI data files.
+ *
+ * search_index.json is an inverted index of every (data file, article, ECLI)
+ * record: its FR abstracts are analysed as French and its NL abstracts as
+ * Dutch (see analyzer.js), and every term ("fr:responsabil",
+ * "nl:aansprakelijkheid", "fr:non-concurrent") lists the records containing
+ * it, with a count.
+ * A query matches the records containing each of its words in either
+ * language (or only in --lang); they are ranked with BM25 and grouped by
+ * ECLI, so a result is one judgement with the ELI/article citations that
+ * matched and a snippet of its best matching abstract.
+ *
+ * The index is built by --search-reindex / --reindex (or by the first
+ * --search), then follows every data file written by the crawler or any
+ * other command (see derived_index.js).
+ *
+ * File layout (ids are positions in "docs"; removed records leave null
+ * behind until the next compaction):
+ *
+ *   { "formatVersion": 2,
+ *     "docs": [[filename, article, ECLI, length, signature] | null, ...],
+ *     "postings": { term: "id[:count],id delta[:count],..." } }  (base 36)
+ */
+
+import chalk from 'chalk';
+import { logInfo, logSuccess, logWarn, logError, timestamp } from './logger.js';
+import { listDataFiles, loadDataFile } from './storage.js';
+import { DerivedIndexFile } from './derived_index.js';
+import { LANGS, words, compounds, stem, stemCompound, isStopword, analyze } from './analyzer.js';
+import { SEARCH_INDEX_FILE, SEARCH_RESULT_LIMIT } from './constants.js';
+
+const FORMAT_VERSION = 2;
+
+// BM25 parameters (the usual defaults).
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Snippet: characters shown before the first hit, and at most in total.
+const SNIPPET_LEAD = 60;
+const SNIPPET_LENGTH = 240;
+
+const DOC_FILE = 0, DOC_ARTICLE = 1, DOC_ECLI = 2, DOC_LENGTH = 3, DOC_SIGNATURE = 4;
+
+/** FNV-1a hash of a record's abstracts, to skip re-indexing unchanged records. */
+function signature(record) {
+  const text = JSON.stringify([record.abstractFR ?? null, record.abstractNL ?? null]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function encodePostings(list, docs, remap = null) {
+  const parts = [];
+  let previous = 0;
+  for (let i = 0; i < list.length; i += 2) {
+    if (!docs[list[i]]) continue;
+    const id = remap ? remap[list[i]] : list[i];
+    const count = list[i + 1];
+    parts.push((id - previous).toString(36) + (count > 1 ? ':' + count.toString(36) : ''));
+    previous = id;
+  }
+  return parts.join(',');
+}
+
+function decodePostings(encoded, docs) {
+  const list = [];
+  let id = 0;
+  for (const part of encoded.split(',')) {
+    const colon = part.indexOf(':');
+    id += parseInt(colon === -1 ? part : part.slice(0, colon), 36);
+    if (docs[id]) list.push(id, colon === -1 ? 1 : parseInt(part.slice(colon + 1), 36));
+  }
+  return list;
+}
+
+export class SearchIndex {
+  constructor({ docs = [], postings = {} } = {}) {
+    this.docs = docs;
+    // term → encoded string as read from disk, or decoded [id, count, id, count, ...]
+    this._postings = new Map(Object.entries(postings));
+    this._fileDocs = new Map(); // filename → ids of its records
+    this._removed = 0;
+    this.liveDocs = 0;
+    this.totalLength = 0;
+    this.dirty = false;
+    docs.forEach((doc, id) => (doc ? this._track(id, doc) : this._removed++));
+  }
+
+  get termCount() {
+    return this._postings.size;
+  }
+
+  _track(id, doc) {
+    if (!this._fileDocs.has(doc[DOC_FILE])) this._fileDocs.set(doc[DOC_FILE], []);
+    this._fileDocs.get(doc[DOC_FILE]).push(id);
+    this.liveDocs++;
+    this.totalLength += doc[DOC_LENGTH];
+  }
+
+  /** Decoded postings of `term` ([] when no record contains it). */
+  postings(term) {
+    const value = this._postings.get(term);
+    if (value === undefined) return [];
+    if (typeof value !== 'string') return value;
+    const list = decodePostings(value, this.docs);
+    this._postings.set(term, list);
+    return list;
+  }
+
+  /** Re-index the records of one data file; unchanged records keep their entry. */
+  updateFile(filename, data) {
+    const previous = new Map();
+    for (const id of this._fileDocs.get(filename) ?? []) {
+      if (this.docs[id]) previous.set(`${this.docs[id][DOC_ARTICLE]}\t${this.docs[id][DOC_ECLI]}`, id);
+    }
+    this._fileDocs.delete(filename);
+
+    const kept = [];
+    for (const [article, eclis] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, record] of Object.entries(eclis)) {
+        const key = `${article}\t${ecli}`;
+        const sig = signature(record);
+        const id = previous.get(key);
+        if (id !== undefined && this.docs[id][DOC_SIGNATURE] === sig) {
+          kept.push(id);
+          previous.delete(key);
+          continue;
+        }
+        this._addDoc([filename, article, ecli, 0, sig], record);
+      }
+    }
+    for (const id of previous.values()) this._removeDoc(id);
+    if (kept.length > 0) this._fileDocs.set(filename, [...kept, ...(this._fileDocs.get(filename) ?? [])]);
+  }
+
+  _addDoc(doc, record) {
+    const counts = new Map();
+    for (const lang of LANGS) {
+      for (const text of record[`abstract${lang.toUpperCase()}`] ?? []) {
+        for (const term of analyze(text, lang)) {
+          const key = `${lang}:${term}`;
+          counts.set(key, (counts.get(key) ?? 0) + 1);
+          doc[DOC_LENGTH]++;
+        }
+      }
+    }
+    const id = this.docs.length;
+    this.docs.push(doc);
+    this._track(id, doc);
+    for (const [term, count] of counts) {
+      const list = this.postings(term);
+      if (list.length === 0) this._postings.set(term, list);
+      list.push(id, count);
+    }
+    this.dirty = true;
+  }
+
+  _removeDoc(id) {
+    this.liveDocs--;
+    this.totalLength -= this.docs[id][DOC_LENGTH];
+    this.docs[id] = null;
+    this._removed++;
+    this.dirty = true;
+  }
+
+  /**
+   * The serialisable form.  Once more than a quarter of the ids belong to
+   * removed records, the ids are renumbered without them.
+   */
+  toJSON() {
+    let docs = this.docs;
+    let remap = null;
+    if (this._removed > docs.length / 4) {
+      remap = new Int32Array(docs.length);
+      docs = [];
+      this.docs.forEach((doc, id) => {
+        if (doc) remap[id] = docs.push(doc) - 1;
+      });
+    }
+    const postings = {};
+    for (const [term, value] of this._postings) {
+      const encoded = typeof value === 'string' && !remap ? value : encodePostings(this.postings(term), this.docs, remap);
+      if (encoded) postings[term] = encoded;
+    }
+    return { formatVersion: FORMAT_VERSION, docs, postings };
+  }
+}
+
+// ─── Index file ──────────────────────────────────────────────────────────────
+
+const indexFile = new DerivedIndexFile(SEARCH_INDEX_FILE, {
+  formatVersion: FORMAT_VERSION,
+  load: stored => new SearchIndex(stored),
+});
+
+/**
+ * Keep search_index.json in step with the data files written during this
+ * run (see derived_index.js).
+ */
+export function trackSearchIndex() {
+  indexFile.track({
+    dataFileWritten: (index, filename, data) => index.updateFile(filename, data),
+  });
+}
+
+/**
+ * Index every data file from scratch and save the index (kept in memory only
+ * with --dry-run, which a --search beside another run's lock also uses).
+ * Unreadable data files are reported and skipped.
+ */
+export function buildSearchIndex() {
+  const started = Date.now();
+  logInfo(`${timestamp()} Building the search index…`);
+  const index = new SearchIndex();
+  const filenames = listDataFiles();
+  let failed = 0;
+  for (const filename of filenames) {
+    try {
+      index.updateFile(filename, loadDataFile(filename));
+    } catch {
+      failed++; // reported by loadDataFile
+    }
+  }
+  const saved = indexFile.set(index);
+  logSuccess(`✔ Indexed ${index.liveDocs} ECLI-article pairs of ${filenames.length - failed} data file(s) ` +
+    `(${index.termCount} terms) in ${((Date.now() - started) / 1000).toFixed(1)}s` +
+    (saved ? ` → ${indexFile.name}` : ' (not saved)'));
+  if (failed > 0) logWarn(`⚠ ${failed} unreadable data file(s) left out of the index.`);
+  return index;
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * Words of `text` with its compounds in their place: the words inside a
+ * compound are left out.  In order of appearance.
+ */
+function queryWords(text) {
+  const found = compounds(text);
+  const inCompound = w => found.some(c => w.start >= c.start && w.end <= c.end);
+  return [...found, ...words(text).filter(w => !inCompound(w))].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The query words as index terms: one entry per distinct word or compound,
+ * holding its term in each language searched.  A stop word of any language
+ * searched is left out: "du" is no stop word in Dutch, but requiring it there
+ * would make "liberté du commerce" match nothing.
+ */
+function parseQuery(query, langs) {
+  const seen = new Set();
+  const parsed = [];
+  for (const { word } of queryWords(query)) {
+    if (!word.includes('-') && langs.some(lang => isStopword(word, lang))) continue;
+    const terms = langs.map(lang => `${lang}:${word.includes('-') ? stemCompound(word, lang) : stem(word, lang)}`);
+    const key = terms.join(' ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    parsed.push(terms);
+  }
+  return parsed;
+}
+
+/** BM25 score of every record containing one of `terms`, by id. */
+function scoreTerms(index, terms) {
+  const scores = new Map();
+  const avgLength = index.totalLength / Math.max(1, index.liveDocs);
+  for (const term of terms) {
+    const list = index.postings(term);
+    const df = list.length / 2;
+    const idf = Math.log(1 + (index.liveDocs - df + 0.5) / (df + 0.5));
+    for (let i = 0; i < list.length; i += 2) {
+      const doc = index.docs[list[i]];
+      if (!doc) continue;
+      const count = list[i + 1];
+      const score = idf * count * (BM25_K1 + 1) / (count + BM25_K1 * (1 - BM25_B + BM25_B * doc[DOC_LENGTH] / avgLength));
+      scores.set(list[i], (scores.get(list[i]) ?? 0) + score);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Best snippet of a record: the abstract with the most distinct query words,
+ * cut around the first of them.  { lang, text, highlights: [[start, end]] }
+ * with offsets in `text`, or null when no abstract contains a query word.
+ */
+function makeSnippet(record, termSet, langs) {
+  let best = null;
+  for (const lang of langs) {
+    for (const abstract of record[`abstract${lang.toUpperCase()}`] ?? []) {
+      const hits = [
+        ...words(abstract).filter(w => !isStopword(w.word, lang)).map(w => ({ ...w, term: stem(w.word, lang) })),
+        ...compounds(abstract).map(c => ({ ...c, term: stemCompound(c.word, lang) })),
+      ].filter(w => termSet.has(`${lang}:${w.term}`)).sort((a, b) => a.start - b.start);
+      const distinct = new Set(hits.map(w => w.term)).size;
+      if (distinct > 0 && (!best || distinct > best.distinct)) best = { lang, abstract, hits, distinct };
+    }
+  }
+  if (!best) return null;
+
+  const { abstract, hits } = best;
+  let start = Math.max(0, hits[0].start - SNIPPET_LEAD);
+  if (start > 0) start = abstract.indexOf(' ', start) + 1 || hits[0].start;
+  let end = Math.min(abstract.length, start + SNIPPET_LENGTH);
+  if (end < abstract.length) end = Math.max(abstract.lastIndexOf(' ', end), hits[0].end);
+  const text = (start > 0 ? '…' : '') + abstract.slice(start, end) + (end < abstract.length ? '…' : '');
+  const shift = (start > 0 ? 1 : 0) - start;
+  const highlights = hits.filter(w => w.start >= start && w.end <= end).map(w => [w.start + shift, w.end + shift]);
+  return { lang: best.lang, text, highlights };
+}
+
+/**
+ * Records of `index` matching every word of `query` in one of `langs`.
+ * { parsed: query terms, byEcli: ECLI → { score, ids: [{ id, score }] } }
+ */
+export function matchQuery(index, query, langs) {
+  const parsed = parseQuery(query, langs);
+  const byEcli = new Map();
+  if (parsed.length === 0) return { parsed, byEcli };
+
+  // Every query word must match (in either language); rarest word first.
+  const perWord = parsed.map(terms => scoreTerms(index, terms)).sort((a, b) => a.size - b.size);
+  for (const [id, firstScore] of perWord[0]) {
+    let score = firstScore;
+    let matchesAll = true;
+    for (const scores of perWord.slice(1)) {
+      matchesAll = scores.has(id);
+      if (!matchesAll) break;
+      score += scores.get(id);
+    }
+    if (!matchesAll) continue;
+    const ecli = index.docs[id][DOC_ECLI];
+    const hit = byEcli.get(ecli) ?? { score: 0, ids: [] };
+    hit.score = Math.max(hit.score, score);
+    hit.ids.push({ id, score });
+    byEcli.set(ecli, hit);
+  }
+  return { parsed, byEcli };
+}
+
+/**
+ * Search the abstracts.  Builds the index first when there is none.
+ *
+ * @param {string} query - words that must all occur (stemmed, accent- and case-insensitive)
+ * @param {Object} [options]
+ * @param {'fr'|'nl'|null} [options.lang] - only search the abstracts in this language
+ * @param {number} [options.limit] - judgements returned (best first)
+ * @returns {{words: number, total: number, stale: number, results: Array<{ecli: string, score: number,
+ *   court: string|null, date: string|null, citations: Array<{filename: string, article: string}>,
+ *   snippet: {lang: string, text: string, highlights: number[][]}|null}>}}
+ *   words: query words searched (stop words are not); total: judgements
+ *   matching; stale: matches dropped because the index was
+ *   older than their data file
+ */
+export function searchAbstracts(query, { lang = null, limit = SEARCH_RESULT_LIMIT } = {}) {
+  const index = indexFile.get() ?? buildSearchIndex();
+  const langs = lang ? [lang] : LANGS;
+  const { parsed, byEcli } = matchQuery(index, query, langs);
+  if (parsed.length === 0) return { words: 0, total: 0, stale: 0, results: [] };
+
+  const ranked = [...byEcli].sort((a, b) => b[1].score - a[1].score);
+  const termSet = new Set(parsed.flat());
+  const files = new Map();
+  const loadOnce = (filename) => {
+    if (!files.has(filename)) {
+      try {
+        files.set(filename, loadDataFile(filename));
+      } catch {
+        files.set(filename, {});
+      }
+    }
+    return files.get(filename);
+  };
+
+  const results = [];
+  let stale = 0;
+  for (const [ecli, { score, ids }] of ranked) {
+    if (results.length >= limit) break;
+    ids.sort((a, b) => b.score - a.score);
+    const [filename, article] = index.docs[ids[0].id];
+    const record = loadOnce(filename)[article]?.[ecli];
+    const snippet = record ? makeSnippet(record, termSet, langs) : null;
+    if (!snippet) {
+      stale++;
+      continue;
+    }
+    results.push({
+      ecli,
+      score,
+      court: record.court ?? null,
+      date: record.date ?? null,
+      citations: ids.map(({ id }) => ({ filename: index.docs[id][DOC_FILE], article: index.docs[id][DOC_ARTICLE] })),
+      snippet,
+    });
+  }
+  return { words: parsed.length, total: byEcli.size, stale, results };
+}
+
+function highlight({ text, highlights }) {
+  let out = '';
+  let position = 0;
+  for (const [start, end] of highlights) {
+    out += text.slice(position, start) + chalk.bold.yellow(text.slice(start, end));
+    position = end;
+  }
+  return out + text.slice(position);
+}
+
+/** Print the results of searchAbstracts() for the --search command. */
+export function runSearch(query, options = {}) {
+  const { words: searched, total, stale, results } = searchAbstracts(query, options);
+  if (searched === 0) {
+    logWarn(`⚠ "${query}" only holds stop words — nothing to search for.`);
+    return;
+  }
+  if (total === 0) {
+    logWarn(`⚠ No abstract matches "${query}".`);
+    return;
+  }
+  logInfo(`${timestamp()} ${total} judgement(s) match "${query}"${results.length < total ? ` — showing the best ${results.length}` : ''}\n`);
+
+  results.forEach((result, i) => {
+    console.log(`${chalk.bold(`${String(i + 1).padStart(3)}.`)} ${chalk.cyan(result.ecli)}  ${chalk.gray([result.court, result.date].filter(Boolean).join(' '))}  ${chalk.gray(`score ${result.score.toFixed(2)}`)}`);
+    const articlesByFile = new Map();
+    for (const { filename, article } of result.citations) {
+      if (!articlesByFile.has(filename)) articlesByFile.set(filename, []);
+      articlesByFile.get(filename).push(article);
+    }
+    for (const [filename, articles] of articlesByFile) {
+      console.log(`     ${filename.replace(/\.json$/, '')} — art. ${articles.join(', ')}`);
+    }
+    console.log(`     ${chalk.gray(result.snippet.lang.toUpperCase())} ${highlight(result.snippet)}\n`);
+  });
+  if (stale > 0) {
+    logError(`✖ ${stale} match(es) no longer found in their data file — run --search-reindex.`);
+  }
+}
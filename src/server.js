@@ -0,0 +1,231 @@
+/**
+ * --serve: Local read-only HTTP API over the dataset.
+ *
+ * Internal tools get the data files through JSON endpoints instead of reading
+ * data/*.json themselves (and re-implementing eliToFilename()):
+ *
+ *   GET /laws?type=loi&year=1984            laws with citing judgements
+ *   GET /laws/:eli                          a law and its cited articles
+ *   GET /laws/:eli/articles/:article        the judgements citing an article
+ *   GET /judgements/:ecli                   every citation of a judgement
+ *   GET /missing-eli?resolved=false&q=…     entries of missing_eli.json
+ *   GET /openapi.json                       the OpenAPI description (openapi.js)
+ *
+ * Everything is read through storage.js, so both storage backends work, and
+ * nothing is cached: a crawl running at the same time is seen as soon as it
+ * has written its files.  /judgements finds the citations of an ECLI in
+ * ecli_index.json, read again in the background whenever a crawl has saved
+ * it (see watchEcliIndex()); it is never built here.
+ *
+ * The server never writes (it runs in dry-run mode and without the lock, see
+ * index.js).  List endpoints take ?page= and ?pageSize=; every 200 response
+ * has an ETag (a hash of its body) and If-None-Match is answered with 304.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import chalk from 'chalk';
+import { logInfo, logError, timestamp } from './logger.js';
+import { listDataFiles, loadDataFile, readMissingEliFile } from './storage.js';
+import { filenameToEli, lawToFilename } from './utils.js';
+import { lookupEcli, watchEcliIndex } from './ecli_index.js';
+import { compareArticleIds } from './split_texts.js';
+import { OPENAPI } from './openapi.js';
+import { ELI_TYPE_NL_TO_FR, SERVE_PAGE_SIZE, SERVE_MAX_PAGE_SIZE } from './constants.js';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ─── Laws ────────────────────────────────────────────────────────────────────
+
+/** id, ELI, type, year and date of a data file, from its name alone. */
+function lawSummary(filename) {
+  const id = filename.replace(/\.json$/, '');
+  const eli = id.match(/^eli_([^_]+)_(\d{4})_(\d{2})_(\d{2})_/);
+  if (eli) return { id, eli: filenameToEli(filename), type: eli[1], year: Number(eli[2]), date: `${eli[2]}-${eli[3]}-${eli[4]}` };
+  const cgi = id.match(/^cgi_loi_([^_]+)_(\d{4})?/);
+  if (cgi) return { id, eli: filenameToEli(filename), type: cgi[1], year: cgi[2] ? Number(cgi[2]) : null, date: null };
+  return { id, eli: null, type: null, year: null, date: null };
+}
+
+/**
+ * Data filename of the :eli path parameter: an ELI or cgi_loi URL, an ELI
+ * path ("eli/wet/1984/…", Dutch types included) or a law id.  404 when no
+ * data file exists for it.
+ */
+function resolveLaw(param) {
+  const filename = lawToFilename(param);
+  if (!listDataFiles().includes(filename)) throw new HttpError(404, `No judgement cites ${param}`);
+  return filename;
+}
+
+function loadLaw(filename) {
+  try {
+    return loadDataFile(filename);
+  } catch (err) {
+    throw new HttpError(500, err.message);
+  }
+}
+
+// ─── Endpoints ───────────────────────────────────────────────────────────────
+
+function paginate(items, query) {
+  const page = query.has('page') ? Number(query.get('page')) : 1;
+  const pageSize = query.has('pageSize') ? Number(query.get('pageSize')) : SERVE_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) throw new HttpError(400, 'page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > SERVE_MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be an integer between 1 and ${SERVE_MAX_PAGE_SIZE}`);
+  }
+  return { total: items.length, page, pageSize, items: items.slice((page - 1) * pageSize, page * pageSize) };
+}
+
+function listLaws(params, query) {
+  let laws = listDataFiles().map(lawSummary);
+  if (query.has('type')) {
+    const type = query.get('type').toLowerCase();
+    laws = laws.filter(law => law.type === (ELI_TYPE_NL_TO_FR[type] ?? type));
+  }
+  if (query.has('year')) {
+    const year = Number(query.get('year'));
+    if (!Number.isInteger(year)) throw new HttpError(400, 'year must be an integer');
+    laws = laws.filter(law => law.year === year);
+  }
+  return paginate(laws, query);
+}
+
+function getLaw([eli], query) {
+  const filename = resolveLaw(eli);
+  const data = loadLaw(filename);
+  const articles = Object.keys(data).filter(article => article !== 'related').sort(compareArticleIds)
+    .map(article => ({ article, judgements: Object.keys(data[article]).length }));
+  return { law: lawSummary(filename), related: data.related ?? null, ...paginate(articles, query) };
+}
+
+function getArticle([eli, article], query) {
+  const filename = resolveLaw(eli);
+  const data = loadLaw(filename);
+  const eclis = Object.hasOwn(data, article) ? data[article] : null;
+  if (!eclis || article === 'related') throw new HttpError(404, `No judgement cites article ${article} of ${eli}`);
+  const records = Object.entries(eclis).map(([ecli, record]) => ({ ecli, record }));
+  return { law: lawSummary(filename), article, ...paginate(records, query) };
+}
+
+function getJudgement([ecli]) {
+  const found = lookupEcli(ecli);
+  if (!found) throw new HttpError(503, 'ecli_index.json has not been built — run --reindex');
+  const { entry, stale } = found;
+  if (!entry) {
+    throw new HttpError(404, `No data file or missing_eli.json entry holds ${ecli}` +
+      (stale ? ' (ecli_index.json may be behind the data files)' : ''));
+  }
+  const citations = [];
+  const files = new Map();
+  for (const { law, article } of entry.citations) {
+    const filename = `${law}.json`;
+    if (!files.has(filename)) files.set(filename, loadLaw(filename));
+    const record = files.get(filename)[article]?.[ecli];
+    if (record) citations.push({ law: lawSummary(filename), article, record });
+  }
+  const missingEli = entry.missingEli.map(({ legalBasis, eli, article }) => ({ legalBasis, eli, article }));
+  return { ecli, court: entry.court, date: entry.date, citations, missingEli, stale };
+}
+
+function listMissingEli(params, query) {
+  let entries = Object.entries(readMissingEliFile() ?? {})
+    .map(([legalBasis, { eli = null, elements = [], ...extra }]) => ({ legalBasis, eli, ...extra, elements }));
+  if (query.has('resolved')) {
+    const resolved = query.get('resolved');
+    if (resolved !== 'true' && resolved !== 'false') throw new HttpError(400, 'resolved must be true or false');
+    entries = entries.filter(entry => (entry.eli !== null) === (resolved === 'true'));
+  }
+  if (query.has('q')) {
+    const q = query.get('q').toLowerCase();
+    entries = entries.filter(entry => entry.legalBasis.toLowerCase().includes(q));
+  }
+  return paginate(entries, query);
+}
+
+// Path patterns (matched against the still-encoded path; captures are
+// decoded).  An ELI path may contain slashes, an article is one segment.
+const ROUTES = [
+  [/^\/laws$/, listLaws],
+  [/^\/laws\/(.+?)\/articles\/([^/]+)$/, getArticle],
+  [/^\/laws\/(.+)$/, getLaw],
+  [/^\/judgements\/([^/]+)$/, getJudgement],
+  [/^\/missing-eli$/, listMissingEli],
+  [/^\/openapi\.json$/, () => OPENAPI],
+];
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+function handle(req) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, `${req.method} is not supported (read-only API)`);
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+  for (const [pattern, handler] of ROUTES) {
+    const match = path.match(pattern);
+    if (!match) continue;
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, 'Malformed URL encoding');
+    }
+    return handler(params, url.searchParams);
+  }
+  throw new HttpError(404, `Unknown endpoint ${path} (see /openapi.json)`);
+}
+
+function respond(req, res) {
+  const started = Date.now();
+  let status = 200;
+  let body;
+  try {
+    body = JSON.stringify(handle(req));
+  } catch (err) {
+    status = err instanceof HttpError ? err.status : 500;
+    body = JSON.stringify({ error: err.message });
+    if (status === 500) logError(`✖ ${req.method} ${req.url}: ${err.message}`);
+  }
+
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+  if (status === 405) headers.Allow = 'GET, HEAD';
+  if (status === 200) {
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    headers.ETag = etag;
+    headers['Cache-Control'] = 'no-cache';
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*')) {
+      status = 304;
+    }
+  }
+  if (status === 304) {
+    res.writeHead(304, { ETag: headers.ETag, 'Cache-Control': headers['Cache-Control'] });
+    res.end();
+  } else {
+    headers['Content-Length'] = Buffer.byteLength(body);
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+  logInfo(`${timestamp()} ${req.method} ${req.url} ${status >= 400 ? chalk.red(status) : chalk.green(status)} ${chalk.gray(`${Date.now() - started}ms`)}`);
+}
+
+/**
+ * Serve the API on 127.0.0.1:`port` until the process is stopped.
+ * Resolves once listening; rejects when the port cannot be bound.
+ */
+export function serveDataset(port) {
+  watchEcliIndex();
+  const server = http.createServer(respond);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      logInfo(`${timestamp()} Serving the dataset read-only on ${chalk.cyan(`http://127.0.0.1:${port}`)} (API description: /openapi.json) — Ctrl+C to stop.`);
+      resolve(server);
+    });
+  });
+}
@@ -1,8 +1,8 @@
 import chalk from 'chalk';
 import xml2js from 'xml2js';
-import { ROBOTS_TXT_URL, RE_ART_REF_WITH_COUNTER, RE_ART_REF_NO_COUNTER, RE_ART_REF_NO_DATE, RE_REF_NO_ART, RE_LEGAL_PRINCIPLE } from './constants.js';
+import { ROBOTS_TXT_URL, DEFAULT_COURTS, RE_ART_REF_WITH_COUNTER, RE_ART_REF_NO_COUNTER, RE_ART_REF_NO_DATE, RE_REF_NO_ART, RE_LEGAL_PRINCIPLE } from './constants.js';
 import { logInfo, logWarn, logSuccess, timestamp } from './logger.js';
-import { fetchWithRetry } from './fetch.js';
+import { fetchWithRetry, fetchConditional, setCrawlDelay } from './fetch.js';
 import {
   normalizeWhitespace,
   normalizeEliToFrench,
@@ -48,6 +48,9 @@ function _disambiguateBareNumbers(articles) {
 
 /**
  * Parse robots.txt and extract sitemap index URLs, sorted most recent first.
+ *
+ * A Crawl-delay in the "User-agent: *" group becomes the request rate of the
+ * robots.txt host and of every host its sitemaps live on.
  */
 export async function fetchSitemapIndexUrls() {
   logInfo(`${timestamp()} Fetching robots.txt from ${ROBOTS_TXT_URL}...`);
@@ -55,16 +58,37 @@ export async function fetchSitemapIndexUrls() {
   
   const lines = text.split('\n');
   const sitemapUrls = [];
+  let crawlDelay = null;
+  let groupAgents = [];
+  let inGroupRules = false;
   
   for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('Sitemap:')) {
-      const url = trimmed.replace('Sitemap:', '').trim();
-      sitemapUrls.push(url);
+    const trimmed = line.replace(/#.*$/, '').trim();
+    const [, field, value] = trimmed.match(/^([A-Za-z-]+)\s*:\s*(.*)$/) || [];
+    if (!field) continue;
+    const key = field.toLowerCase();
+
+    if (key === 'sitemap') {
+      sitemapUrls.push(value.trim());
+    } else if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group of rules.
+      if (inGroupRules) { groupAgents = []; inGroupRules = false; }
+      groupAgents.push(value.trim());
+    } else {
+      inGroupRules = true;
+      if (key === 'crawl-delay' && groupAgents.includes('*')) {
+        const seconds = parseFloat(value);
+        if (seconds > 0) crawlDelay = seconds;
+      }
     }
   }
 
   logSuccess(`✔ Found ${sitemapUrls.length} sitemap index URLs in robots.txt`);
+
+  if (crawlDelay !== null) {
+    const hosts = new Set([new URL(ROBOTS_TXT_URL).host, ...sitemapUrls.map(u => new URL(u).host)]);
+    for (const host of hosts) setCrawlDelay(host, crawlDelay);
+  }
   
   // Sort by date descending (most recent first)
   // URL format: .../YYYY/MM/DD/sitemap_index_N.xml
@@ -88,13 +112,27 @@ export function extractDateFromUrl(url) {
   return '0000-00-00';
 }
 
+/**
+ * Keep only the sitemap index URLs whose date (see extractDateFromUrl) falls
+ * within [since, until].  Both bounds are inclusive YYYY-MM-DD strings and
+ * either may be null to leave that side of the window open.
+ */
+export function filterUrlsByDateWindow(urls, { since = null, until = null } = {}) {
+  return urls.filter(url => {
+    const date = extractDateFromUrl(url);
+    if (since && date < since) return false;
+    if (until && date > until) return false;
+    return true;
+  });
+}
+
 // ─── Sitemap Index Parsing ───────────────────────────────────────────────────
 
 /**
- * Fetch a sitemap index and return the list of sitemap URLs it contains.
+ * Parse a sitemap index document into [{ loc, lastmod }] (lastmod is null
+ * when the entry has none).
  */
-export async function fetchSitemapUrls(sitemapIndexUrl) {
-  const xml = await fetchWithRetry(sitemapIndexUrl);
+export async function parseSitemapIndexXml(xml, sitemapIndexUrl) {
   const result = await xml2js.parseStringPromise(xml, { explicitArray: false });
   
   const sitemapIndex = result.sitemapindex;
@@ -108,16 +146,93 @@ export async function fetchSitemapUrls(sitemapIndexUrl) {
     ? sitemapIndex.sitemap 
     : [sitemapIndex.sitemap];
 
-  return sitemaps.map(s => s.loc).filter(Boolean);
+  return sitemaps
+    .filter(s => s.loc)
+    .map(s => ({ loc: s.loc, lastmod: s.lastmod || null }));
+}
+
+/**
+ * Fetch a sitemap index and return the list of sitemap URLs it contains.
+ */
+export async function fetchSitemapUrls(sitemapIndexUrl) {
+  const xml = await fetchWithRetry(sitemapIndexUrl);
+  return (await parseSitemapIndexXml(xml, sitemapIndexUrl)).map(s => s.loc);
+}
+
+/**
+ * Re-request an already-processed sitemap index conditionally and tell
+ * whether Juportal republished it since it was archived.
+ *
+ * @returns {Promise<{state: 'unchanged'|'changed'|'unknown', body: string|null, previousBody: string|null}>}
+ *   state is 'unknown' when there is no archived copy to compare with (one
+ *   is stored for next time).  previousBody is null when only the validators
+ *   of the index were archived (--no-archive), and body when it is unchanged.
+ */
+export async function checkSitemapIndexChanged(sitemapIndexUrl) {
+  const { body, unchanged, previousBody, known } = await fetchConditional(sitemapIndexUrl, { needBody: false });
+  const state = !known ? 'unknown' : (unchanged ? 'unchanged' : 'changed');
+  return { state, body, previousBody };
+}
+
+/** The <lastmod> of a sitemap (urlset) document, or null. */
+function urlsetLastmod(xml) {
+  const m = xml.match(/<lastmod>\s*([^<\s]+)\s*<\/lastmod>/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Work out which sitemaps of a republished index changed.
+ *
+ * A sitemap counts as changed when it is new in the index, when its <lastmod>
+ * in the index differs from the previous version, or — when the index gives
+ * no lastmod to compare — when its own document changed: its urlset <lastmod>
+ * if both versions carry one, its content otherwise.  Sitemaps never archived
+ * cannot be compared and count as changed, and so do all of them when the
+ * previous index was not archived (--no-archive).
+ *
+ * @param {string} sitemapIndexUrl
+ * @param {string|null} previousXml - archived body of the index
+ * @param {string} currentXml  - freshly downloaded body of the index
+ * @returns {Promise<string[]>} URLs of the changed sitemaps
+ */
+export async function findChangedSitemaps(sitemapIndexUrl, previousXml, currentXml) {
+  const previous = new Map(previousXml === null ? [] : (await parseSitemapIndexXml(previousXml, sitemapIndexUrl)).map(s => [s.loc, s.lastmod]));
+  const current = await parseSitemapIndexXml(currentXml, sitemapIndexUrl);
+  const changed = [];
+
+  for (const { loc, lastmod } of current) {
+    if (!previous.has(loc)) {
+      changed.push(loc);
+      continue;
+    }
+    const previousLastmod = previous.get(loc);
+    if (lastmod && previousLastmod) {
+      if (lastmod !== previousLastmod) changed.push(loc);
+      continue;
+    }
+    try {
+      const { body, unchanged, previousBody, known } = await fetchConditional(loc, { needBody: false });
+      if (!known || (!unchanged && previousBody === null)) {
+        changed.push(loc);
+      } else if (!unchanged) {
+        const [before, after] = [urlsetLastmod(previousBody), urlsetLastmod(body)];
+        if (!(before && after && before === after)) changed.push(loc);
+      }
+    } catch (err) {
+      logWarn(`⚠ Could not check sitemap ${loc} for changes: ${err.message}`);
+    }
+  }
+  return changed;
 }
 
 // ─── Sitemap XML Parsing ─────────────────────────────────────────────────────
 
 /**
  * Parse a sitemap XML and extract judgement data.
- * Returns null if the judgement is not from CASS court.
+ * Returns { skipped: true, court } when the judgement's court is not in the
+ * `courts` allow-list (court codes as found in the ECLI, e.g. "CASS").
  */
-export async function parseSitemapXml(sitemapUrl) {
+export async function parseSitemapXml(sitemapUrl, { courts = DEFAULT_COURTS } = {}) {
   const xml = await fetchWithRetry(sitemapUrl);
   const result = await xml2js.parseStringPromise(xml, {
     explicitArray: false,
@@ -143,15 +258,17 @@ export async function parseSitemapXml(sitemapUrl) {
   // ─── Court check ───
   const isVersionOf = meta.isVersionOf;
   const court = isVersionOf?.court;
-  if (court !== 'CASS') {
+  if (!courts.includes(court)) {
     return { skipped: true, court };
   }
 
   // ─── ECLI ───
   const ecli = isVersionOf?.$?.value || isVersionOf?.value;
 
-  // Skip conclusions (CONC); only process judgements (ARR)
-  if (!ecli || !ecli.includes('ARR')) {
+  // Judgements (ARR) and advocate-general conclusions (CONC) are processed;
+  // any other document type is skipped.
+  const docType = ecli?.includes('ARR') ? 'ARR' : ecli?.includes('CONC') ? 'CONC' : null;
+  if (!docType) {
     return { skipped: true, court, ecli };
   }
 
@@ -398,6 +515,7 @@ export async function parseSitemapXml(sitemapUrl) {
     skipped: false,
     court,
     ecli,
+    docType,
     judgementDate,
     judgementUrl,
     roleNumber,
@@ -40,6 +40,23 @@ function compareArticles(a, b) {
   return a[1] - b[1];
 }
 
+/**
+ * Sort order of article identifiers: by number and Latin suffix, then number
+ * by number ("5.4.3" before "5.10").  Identifiers without a number ("general")
+ * sort last.
+ */
+export function compareArticleIds(a, b) {
+  const ta = parseArticleTuple(a);
+  const tb = parseArticleTuple(b);
+  if (ta && tb) {
+    const cmp = compareArticles(ta, tb);
+    if (cmp !== 0) return cmp;
+  } else if (ta || tb) {
+    return ta ? -1 : 1;
+  }
+  return String(a).localeCompare(String(b), 'fr', { numeric: true });
+}
+
 /**
  * Check if a legal basis key (from missing_eli.json) matches a split text.
  * Matches against both FR and NL names, case-insensitive.
@@ -0,0 +1,233 @@
+/**
+ * SQLite storage of the ELI data files and missing_eli.json (--storage sqlite).
+ *
+ * The JSON layout answers "which judgements cite this law" with one file
+ * read, but cross-law questions need every file loaded.  Here the same data
+ * is normalised into tables:
+ *
+ *   laws                 one row per data file (filename, "related" array)
+ *   judgements           court and date of each ECLI
+ *   citations            one (law, article, ECLI) pair, with its role number
+ *                        (joined cases list different ones per legal basis),
+ *                        sitemaps and conclusions; abstracts_fr / abstracts_nl
+ *                        hold the number of abstracts (NULL when the key was
+ *                        null)
+ *   abstracts            the FR / NL abstracts of a citation, in order
+ *   missing_eli          one row per missing_eli.json key
+ *   missing_eli_elements the elements recorded under that key
+ *
+ * e.g. all 2019 judgements citing any article of the Code civil:
+ *
+ *   SELECT DISTINCT j.* FROM judgements j JOIN citations c USING (ecli)
+ *   WHERE c.law LIKE 'eli_loi_1804_03_21_%' AND j.date LIKE '2019-%';
+ *
+ * storage.js still hands out and takes back whole data-file objects, so every
+ * command works unchanged on either backend; saveLaw() replaces all rows of
+ * one file.  Records come back exactly as stored, except that a missing
+ * roleNumber comes back as null.  better-sqlite3 is an optional dependency,
+ * loaded on first use.
+ */
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS laws (
+    filename TEXT PRIMARY KEY,
+    related  TEXT
+  );
+  CREATE TABLE IF NOT EXISTS judgements (
+    ecli  TEXT PRIMARY KEY,
+    court TEXT,
+    date  TEXT
+  );
+  CREATE TABLE IF NOT EXISTS citations (
+    id           INTEGER PRIMARY KEY,
+    law          TEXT NOT NULL REFERENCES laws(filename) ON DELETE CASCADE,
+    article      TEXT NOT NULL,
+    ecli         TEXT NOT NULL REFERENCES judgements(ecli),
+    role_number  TEXT,
+    sitemaps     TEXT,
+    conclusions  TEXT,
+    abstracts_fr INTEGER,
+    abstracts_nl INTEGER,
+    UNIQUE (law, article, ecli)
+  );
+  CREATE INDEX IF NOT EXISTS citations_ecli ON citations(ecli);
+  CREATE TABLE IF NOT EXISTS abstracts (
+    citation_id INTEGER NOT NULL REFERENCES citations(id) ON DELETE CASCADE,
+    lang        TEXT NOT NULL,
+    pos         INTEGER NOT NULL,
+    text        TEXT NOT NULL,
+    PRIMARY KEY (citation_id, lang, pos)
+  );
+  CREATE TABLE IF NOT EXISTS missing_eli (
+    raw   TEXT PRIMARY KEY,
+    eli   TEXT,
+    extra TEXT
+  );
+  CREATE TABLE IF NOT EXISTS missing_eli_elements (
+    raw     TEXT NOT NULL REFERENCES missing_eli(raw) ON DELETE CASCADE,
+    pos     INTEGER NOT NULL,
+    ecli    TEXT,
+    article TEXT,
+    data    TEXT NOT NULL,
+    PRIMARY KEY (raw, pos)
+  );
+  CREATE INDEX IF NOT EXISTS missing_eli_elements_ecli ON missing_eli_elements(ecli);
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+  }
+}
+
+const toJson = value => (value === undefined || value === null ? null : JSON.stringify(value));
+const fromJson = text => (text === null ? null : JSON.parse(text));
+
+export class SqliteStore {
+  /** @param {string} dbPath - created (with the schema) when missing */
+  constructor(dbPath) {
+    const Database = loadDriver();
+    this.path = dbPath;
+    this._db = new Database(dbPath);
+    this._db.pragma('foreign_keys = ON');
+    this._db.exec(SCHEMA);
+
+    const db = this._db;
+    this._stmts = {
+      listLaws: db.prepare('SELECT filename FROM laws ORDER BY filename'),
+      getLaw: db.prepare('SELECT related FROM laws WHERE filename = ?'),
+      getCitations: db.prepare(`
+        SELECT c.id, c.article, c.ecli, c.role_number, c.sitemaps, c.conclusions, c.abstracts_fr, c.abstracts_nl,
+               j.court, j.date
+        FROM citations c JOIN judgements j USING (ecli)
+        WHERE c.law = ? ORDER BY c.id`),
+      getAbstracts: db.prepare(`
+        SELECT a.citation_id, a.lang, a.text FROM abstracts a JOIN citations c ON c.id = a.citation_id
+        WHERE c.law = ? ORDER BY a.citation_id, a.lang, a.pos`),
+      lawEclis: db.prepare('SELECT DISTINCT ecli FROM citations WHERE law = ?'),
+      upsertLaw: db.prepare(`
+        INSERT INTO laws (filename, related) VALUES (?, ?)
+        ON CONFLICT (filename) DO UPDATE SET related = excluded.related`),
+      deleteCitations: db.prepare('DELETE FROM citations WHERE law = ?'),
+      upsertJudgement: db.prepare(`
+        INSERT INTO judgements (ecli, court, date) VALUES (?, ?, ?)
+        ON CONFLICT (ecli) DO UPDATE SET court = excluded.court, date = excluded.date`),
+      insertCitation: db.prepare(`
+        INSERT INTO citations (law, article, ecli, role_number, sitemaps, conclusions, abstracts_fr, abstracts_nl)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+      insertAbstract: db.prepare('INSERT INTO abstracts (citation_id, lang, pos, text) VALUES (?, ?, ?, ?)'),
+      deleteOrphan: db.prepare('DELETE FROM judgements WHERE ecli = ? AND NOT EXISTS (SELECT 1 FROM citations WHERE ecli = ?)'),
+      countMissingEli: db.prepare('SELECT COUNT(*) AS n FROM missing_eli'),
+      getMissingEli: db.prepare('SELECT raw, eli, extra FROM missing_eli ORDER BY rowid'),
+      getMissingEliElements: db.prepare('SELECT raw, data FROM missing_eli_elements ORDER BY raw, pos'),
+      deleteMissingEli: db.prepare('DELETE FROM missing_eli'),
+      insertMissingEli: db.prepare('INSERT INTO missing_eli (raw, eli, extra) VALUES (?, ?, ?)'),
+      insertMissingEliElement: db.prepare('INSERT INTO missing_eli_elements (raw, pos, ecli, article, data) VALUES (?, ?, ?, ?, ?)'),
+    };
+    this.saveLaw = db.transaction(this._saveLaw.bind(this));
+    this.saveMissingEli = db.transaction(this._saveMissingEli.bind(this));
+  }
+
+  /** Run `fn` in a single transaction (e.g. a bulk import). */
+  transaction(fn) {
+    return this._db.transaction(fn)();
+  }
+
+  /** Data filenames stored, sorted alphabetically. */
+  listLaws() {
+    return this._stmts.listLaws.pluck().all();
+  }
+
+  /**
+   * Rebuild the data-file object of `filename` (same layout and key order as
+   * the JSON file), or null when the law is not stored.
+   */
+  loadLaw(filename) {
+    const law = this._stmts.getLaw.get(filename);
+    if (!law) return null;
+
+    const abstracts = new Map(); // citation id → { FR: [], NL: [] }
+    for (const { citation_id: id, lang, text } of this._stmts.getAbstracts.iterate(filename)) {
+      if (!abstracts.has(id)) abstracts.set(id, { FR: [], NL: [] });
+      abstracts.get(id)[lang].push(text);
+    }
+
+    const data = {};
+    for (const c of this._stmts.getCitations.iterate(filename)) {
+      const texts = abstracts.get(c.id) ?? { FR: [], NL: [] };
+      const record = {
+        court: c.court,
+        date: c.date,
+        roleNumber: c.role_number,
+        sitemap: fromJson(c.sitemaps),
+        abstractFR: c.abstracts_fr === null ? null : texts.FR,
+        abstractNL: c.abstracts_nl === null ? null : texts.NL,
+      };
+      if (c.conclusions !== null) record.conclusions = fromJson(c.conclusions);
+      if (!data[c.article]) data[c.article] = {};
+      data[c.article][c.ecli] = record;
+    }
+    if (law.related !== null) data.related = fromJson(law.related);
+    return data;
+  }
+
+  _saveLaw(filename, data) {
+    const s = this._stmts;
+    const previousEclis = s.lawEclis.pluck().all(filename);
+    s.upsertLaw.run(filename, toJson(data.related));
+    s.deleteCitations.run(filename);
+
+    for (const [article, eclis] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, r] of Object.entries(eclis)) {
+        s.upsertJudgement.run(ecli, r.court ?? null, r.date ?? null);
+        const fr = Array.isArray(r.abstractFR) ? r.abstractFR : (r.abstractFR ? [r.abstractFR] : null);
+        const nl = Array.isArray(r.abstractNL) ? r.abstractNL : (r.abstractNL ? [r.abstractNL] : null);
+        const { lastInsertRowid: id } = s.insertCitation.run(
+          filename, article, ecli, r.roleNumber ?? null, toJson(r.sitemap), toJson(r.conclusions), fr?.length ?? null, nl?.length ?? null);
+        fr?.forEach((text, pos) => s.insertAbstract.run(id, 'FR', pos, text));
+        nl?.forEach((text, pos) => s.insertAbstract.run(id, 'NL', pos, text));
+      }
+    }
+    for (const ecli of previousEclis) s.deleteOrphan.run(ecli, ecli);
+  }
+
+  /** Remove every law, citation and judgement (before a full import). */
+  clearLaws() {
+    this._db.exec('DELETE FROM abstracts; DELETE FROM citations; DELETE FROM laws; DELETE FROM judgements;');
+  }
+
+  /** The missing_eli.json object, or null when nothing is stored. */
+  loadMissingEli() {
+    if (this._stmts.countMissingEli.get().n === 0) return null;
+    const data = {};
+    for (const { raw, eli, extra } of this._stmts.getMissingEli.iterate()) {
+      data[raw] = { eli, ...fromJson(extra), elements: [] };
+    }
+    for (const { raw, data: element } of this._stmts.getMissingEliElements.iterate()) {
+      data[raw].elements.push(JSON.parse(element));
+    }
+    return data;
+  }
+
+  _saveMissingEli(data) {
+    const s = this._stmts;
+    s.deleteMissingEli.run();
+    for (const [raw, { eli = null, elements = [], ...extra }] of Object.entries(data)) {
+      s.insertMissingEli.run(raw, eli, Object.keys(extra).length > 0 ? JSON.stringify(extra) : null);
+      elements.forEach((element, pos) => {
+        s.insertMissingEliElement.run(raw, pos, element.ecli ?? null, element.article ?? null, JSON.stringify(element));
+      });
+    }
+  }
+
+  close() {
+    this._db.close();
+  }
+}
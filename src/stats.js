@@ -0,0 +1,182 @@
+/**
+ * --stats: Citation statistics over the data files and missing_eli.json.
+ *
+ *   - most-cited laws (distinct judgements, ECLI-article pairs)
+ *   - most-cited articles ("general" left out)
+ *   - citations per year of judgement
+ *   - judgements per law type (loi, arrete, decret, ordonnance, …, and
+ *     cgi_loi for the laws without an ELI)
+ *   - the share of "general" citations (no specific article)
+ *   - missing_eli.json entries per legal basis key
+ *
+ * The terminal shows the first --limit rows of each ranking (STATS_TOP_COUNT
+ * by default); stats_report.json (or --report <file>) holds them all.
+ * Nothing else is written.
+ */
+
+import chalk from 'chalk';
+import { logInfo, logWarn, timestamp } from './logger.js';
+import { getStorage, listDataFiles, loadDataFile, readMissingEliFile, writeFileAtomic } from './storage.js';
+import { filenameToEli } from './utils.js';
+import { STATS_REPORT_FILE, STATS_TOP_COUNT } from './constants.js';
+
+const lawType = filename => (filename.startsWith('cgi_loi_') ? 'cgi_loi' : filename.split('_')[1] ?? '?');
+
+/** Entries of `counts` (key → { judgements: Set, citations }) as rows, most judgements first. */
+function rank(counts, toRow) {
+  return [...counts]
+    .map(([key, { judgements, citations }]) => ({ ...toRow(key), judgements: judgements.size, citations }))
+    .sort((a, b) => b.judgements - a.judgements || b.citations - a.citations);
+}
+
+function count(counts, key, ecli) {
+  if (!counts.has(key)) counts.set(key, { judgements: new Set(), citations: 0 });
+  const entry = counts.get(key);
+  entry.judgements.add(ecli);
+  entry.citations++;
+}
+
+function collectStats() {
+  const laws = new Map();
+  const articles = new Map(); // "<filename>\t<article>" → counts
+  const years = new Map();
+  const types = new Map();
+  const lawsPerType = new Map();
+  const judgements = new Set();
+  let citations = 0;
+  let general = 0;
+  let files = 0;
+  let failed = 0;
+
+  for (const filename of listDataFiles()) {
+    let data;
+    try {
+      data = loadDataFile(filename);
+    } catch {
+      failed++; // reported by loadDataFile
+      continue;
+    }
+    files++;
+    const type = lawType(filename);
+    lawsPerType.set(type, (lawsPerType.get(type) ?? 0) + 1);
+    for (const [article, eclis] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, record] of Object.entries(eclis)) {
+        judgements.add(ecli);
+        citations++;
+        count(laws, filename, ecli);
+        count(types, type, ecli);
+        count(years, /^\d{4}/.test(record.date ?? '') ? record.date.slice(0, 4) : 'unknown', ecli);
+        if (article === 'general') general++;
+        else count(articles, `${filename}\t${article}`, ecli);
+      }
+    }
+  }
+
+  const lawRow = filename => ({ law: filename.replace(/\.json$/, ''), eli: filenameToEli(filename) });
+  const missingEli = Object.entries(readMissingEliFile() ?? {})
+    .map(([key, { eli = null, elements = [] }]) => ({
+      key,
+      elements: elements.length,
+      judgements: new Set(elements.map(element => element.ecli).filter(Boolean)).size,
+      resolved: eli !== null,
+    }))
+    .sort((a, b) => b.elements - a.elements || a.key.localeCompare(b.key));
+
+  return {
+    summary: {
+      dataFiles: files,
+      unreadable: failed,
+      judgements: judgements.size,
+      citations,
+      generalCitations: general,
+      generalShare: citations > 0 ? general / citations : 0,
+      missingEliKeys: missingEli.length,
+      missingEliElements: missingEli.reduce((sum, entry) => sum + entry.elements, 0),
+    },
+    laws: rank(laws, lawRow),
+    articles: rank(articles, (key) => {
+      const [filename, article] = key.split('\t');
+      return { ...lawRow(filename), article };
+    }),
+    years: rank(years, year => ({ year })).sort((a, b) => a.year.localeCompare(b.year)),
+    lawTypes: rank(types, type => ({ type, laws: lawsPerType.get(type) })),
+    missingEli,
+  };
+}
+
+// ─── Terminal ────────────────────────────────────────────────────────────────
+
+/** Print `rows` as aligned columns: [header, value(row), align?] each. */
+function printTable(title, rows, columns) {
+  logInfo(chalk.bold(`\n  ${title}`));
+  const cells = rows.map(row => columns.map(([, value]) => String(value(row))));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map(line => line[i].length)));
+  const format = line => line.map((cell, i) => (columns[i][2] === 'left' ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+  logInfo(chalk.gray(`    ${format(columns.map(([header]) => header)).trimEnd()}`));
+  for (const line of cells) logInfo(`    ${format(line).trimEnd()}`);
+}
+
+const percent = share => `${(share * 100).toFixed(1)}%`;
+
+function printStats(stats, limit) {
+  const { summary } = stats;
+  console.log(chalk.bold.cyan('\n╔══════════════════════════════════════════╗'));
+  console.log(chalk.bold.cyan('║           CITATION STATISTICS            ║'));
+  console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
+  logInfo(`  Data files:             ${summary.dataFiles}`);
+  logInfo(`  Judgements (ECLIs):     ${summary.judgements}`);
+  logInfo(`  ECLI-article pairs:     ${summary.citations}`);
+  logInfo(`  "general" citations:    ${summary.generalCitations} (${percent(summary.generalShare)})`);
+  logInfo(`  missing_eli.json:       ${summary.missingEliKeys} key(s), ${summary.missingEliElements} element(s)`);
+  if (summary.unreadable > 0) logWarn(`⚠ ${summary.unreadable} unreadable data file(s) left out.`);
+
+  printTable(`Most-cited laws (top ${Math.min(limit, stats.laws.length)} of ${stats.laws.length})`, stats.laws.slice(0, limit), [
+    ['judgements', row => row.judgements],
+    ['pairs', row => row.citations],
+    ['law', row => row.law, 'left'],
+  ]);
+  printTable(`Most-cited articles (top ${Math.min(limit, stats.articles.length)} of ${stats.articles.length})`, stats.articles.slice(0, limit), [
+    ['judgements', row => row.judgements],
+    ['article', row => row.article],
+    ['law', row => row.law, 'left'],
+  ]);
+  const busiest = Math.max(1, ...stats.years.map(row => row.judgements));
+  printTable('Citations per year', stats.years, [
+    ['year', row => row.year, 'left'],
+    ['judgements', row => row.judgements],
+    ['pairs', row => row.citations],
+    ['', row => chalk.cyan('█'.repeat(Math.ceil((row.judgements / busiest) * 30))), 'left'],
+  ]);
+  printTable('Judgements per law type', stats.lawTypes, [
+    ['type', row => row.type, 'left'],
+    ['laws', row => row.laws],
+    ['judgements', row => row.judgements],
+    ['pairs', row => row.citations],
+  ]);
+  if (stats.missingEli.length > 0) {
+    printTable(`missing_eli.json by legal basis (top ${Math.min(limit, stats.missingEli.length)} of ${stats.missingEli.length})`, stats.missingEli.slice(0, limit), [
+      ['elements', row => row.elements],
+      ['judgements', row => row.judgements],
+      ['ELI', row => (row.resolved ? '✔' : ''), 'left'],
+      ['key', row => row.key, 'left'],
+    ]);
+  }
+}
+
+/**
+ * Compute the statistics, print them and write the JSON report.
+ *
+ * @param {Object} options
+ * @param {string} [options.reportFile] - JSON report path (stats_report.json by default)
+ * @param {number} [options.limit] - rows of each ranking shown in the terminal
+ */
+export function reportStats({ reportFile = STATS_REPORT_FILE, limit = STATS_TOP_COUNT } = {}) {
+  logInfo(`${timestamp()} Computing citation statistics…`);
+  const stats = collectStats();
+  writeFileAtomic(reportFile, JSON.stringify({ generatedAt: new Date().toISOString(), storage: getStorage(), ...stats }, null, 2));
+  printStats(stats, limit);
+  logInfo(`\n  Report: ${reportFile}`);
+  logInfo('');
+  return stats;
+}
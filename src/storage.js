@@ -1,135 +1,907 @@
 import fs from 'fs';
 import path from 'path';
-import { DATA_DIR, SETTINGS_FILE, MISSING_ELI_FILE, ERRORS_FILE, LOG_FILE } from './constants.js';
-import { logInfo, logWarn, timestamp } from './logger.js';
+import { DATA_DIR, SETTINGS_FILE, MISSING_ELI_FILE, ERRORS_FILE, LOG_FILE, CONCLUSIONS_FILE, DEAD_URLS_FILE, DATA_CACHE_MAX_BYTES,
+  SQLITE_FILE, STORAGE_BACKENDS } from './constants.js';
+import { logInfo, logWarn, logError, timestamp } from './logger.js';
+import { diffDataFiles, diffStore, printDryRunReport } from './dry_run.js';
+import { appendJournal, syncJournal, readJournal, clearJournal } from './journal.js';
+import { SqliteStore } from './sqlite_store.js';
+import { upgradeDataFile, upgradeMissingEli, stamp } from './schema.js';
 
 // ─── In-memory caches (deferred writes) ──────────────────────────────────────
-// errors.json, log.json, missing_eli.json and settings.json are held in memory
-// and flushed to disk only on exit (via flushAll).  ELI data files are still
-// written immediately as before.
+// errors.json, log.json, missing_eli.json, conclusions.json and settings.json
+// are held in memory and flushed to disk only on exit (via flushAll).  ELI
+// data files are written immediately, except during a crawl (see the
+// write-back cache below).  Crawl bookkeeping changes are also journaled
+// (see journal.js) so they survive a crash.
 
 let _settingsCache = null;
 let _errorsCache = null;
 let _missingEliCache = null;
 let _logCache = null;
+let _conclusionsCache = null;
+let _deadUrlsCache = null;
+// Stores changed since they were loaded; flushAll() writes only these.
+let _dirtyStores = new Set();
+
+// ─── Atomic writes & corruption detection ─────────────────────────────────────
+// Every file is written to a temporary sibling, fsynced and renamed over the
+// original, so an interrupted write never leaves a truncated file behind.
+// A file that exists but cannot be parsed is recorded as corrupt and is never
+// overwritten: data files throw CorruptFileError on load, stores start empty
+// in memory but are not written back by flushAll().
+
+const STORE_FILES = [SETTINGS_FILE, ERRORS_FILE, MISSING_ELI_FILE, LOG_FILE, CONCLUSIONS_FILE, DEAD_URLS_FILE];
+const _corruptFiles = new Set();
+const _refusedStores = new Set();
+
+export class CorruptFileError extends Error {
+  constructor(filePath, cause) {
+    super(`${path.basename(filePath)} is unreadable (${cause.message}) — fix or remove it; it will not be overwritten`, { cause });
+    this.name = 'CorruptFileError';
+    this.filePath = filePath;
+  }
+}
+
+/** Absolute paths of the files found corrupt during this run. */
+export function getCorruptFiles() {
+  return [..._corruptFiles];
+}
+
+export function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a deferred JSON store; null when the file does not exist or is
+ * corrupt (in which case it is recorded and reported, or thrown as a
+ * CorruptFileError with `fatal`).  `upgrade` brings a versioned store to the
+ * current schema (see schema.js).
+ */
+function readStore(filePath, upgrade = data => data, { fatal = false } = {}) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return upgrade(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  } catch (err) {
+    const error = new CorruptFileError(filePath, err);
+    if (fatal) throw error;
+    if (!_corruptFiles.has(filePath)) logError(`✖ ${error.message}`);
+    _corruptFiles.add(filePath);
+    return null;
+  }
+}
+
+/**
+ * Write a store if it changed, unless it was found corrupt.  Appends its name
+ * to `written` and returns true when written.
+ */
+function writeStore(filePath, data, written) {
+  if (!_dirtyStores.has(filePath)) return false;
+  if (_corruptFiles.has(filePath)) {
+    if (!_refusedStores.has(filePath)) {
+      logError(`✖ Not overwriting corrupt ${path.basename(filePath)} — this run's changes to it stay in journal.jsonl.`);
+      _refusedStores.add(filePath);
+    }
+    return false;
+  }
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  _dirtyStores.delete(filePath);
+  written.push(path.basename(filePath));
+  return true;
+}
+
+// ─── Storage backend ─────────────────────────────────────────────────────────
+// The ELI data files of data/ and missing_eli.json live either in JSON files
+// (the default) or in the SQLite database (see sqlite_store.js).  Other data
+// directories (e.g. the --rebuild scratch directory) always hold JSON files.
+
+let _storage = 'json';
+let _sqlite = null;
+
+/**
+ * Select the storage backend ('json' or 'sqlite') before any data is read.
+ * Throws when the backend is unknown or the database cannot be opened.
+ */
+export function configureStorage(kind) {
+  if (!STORAGE_BACKENDS.includes(kind)) {
+    throw new Error(`Unknown storage "${kind}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+  }
+  _storage = kind;
+  if (kind === 'sqlite' && _sqlite === null) _sqlite = new SqliteStore(SQLITE_FILE);
+}
+
+export function getStorage() {
+  return _storage;
+}
+
+/** The SQLite store holding the data files of `dir`, if any. */
+function sqliteFor(dir) {
+  return dir === DATA_DIR ? _sqlite : null;
+}
+
+/**
+ * Read a data file from its backend: { data, bytes } or null when it does not
+ * exist.  Throws the parse error of a corrupt JSON file.
+ */
+function readDataFile(filePath) {
+  const db = sqliteFor(path.dirname(filePath));
+  if (db) {
+    const data = db.loadLaw(path.basename(filePath));
+    return data === null ? null : { data, bytes: JSON.stringify(data).length };
+  }
+  if (!fs.existsSync(filePath)) return null;
+  const json = fs.readFileSync(filePath, 'utf-8');
+  return { data: upgradeDataFile(JSON.parse(json)), bytes: json.length };
+}
+
+const dataFileJson = data => JSON.stringify(stamp(data), null, 2);
+
+/** Write a data file to its backend; returns its size as JSON. */
+function writeDataFile(filePath, data) {
+  const json = dataFileJson(data);
+  const db = sqliteFor(path.dirname(filePath));
+  if (db) db.saveLaw(path.basename(filePath), data);
+  else writeFileAtomic(filePath, json);
+  if (path.dirname(filePath) === DATA_DIR) {
+    for (const hook of _dataFileHooks) hook.dataFileWritten?.(path.basename(filePath), data);
+  }
+  return json.length;
+}
+
+// ─── Data file hooks ─────────────────────────────────────────────────────────
+// Indexes derived from the data files of data/ and missing_eli.json (see
+// derived_index.js) follow them through hooks, all optional:
+//   dataFileWritten(filename, data)  a data file has reached its backend
+//   missingEliWritten(data)          missing_eli.json has been written
+//   dataReplaced()                   the data files were replaced wholesale
+//   dataFlushed()                    flushDataFiles() has written every
+//                                    cached data file (not run by flushAll(),
+//                                    which has the flush hook)
+//   flush(written)                   end of every flushAll(); push a file name
+//                                    onto `written` to have it reported
+// None runs in dry-run mode, where nothing is written.
+
+const _dataFileHooks = [];
+
+export function addDataFileHook(hook) {
+  _dataFileHooks.push(hook);
+}
+
+/** Tell the hooks that the data files were replaced wholesale (e.g. by --rebuild). */
+export function dataFilesReplaced() {
+  _locators.clear();
+  for (const hook of _dataFileHooks) hook.dataReplaced?.();
+}
+
+// ─── Dry-run overlay ─────────────────────────────────────────────────────────
+// With --dry-run nothing is written: data files are kept in an overlay keyed
+// by absolute path (and read back from it), the deferred stores simply stay
+// in their caches, and flushAll() prints a diff against the files on disk.
+
+let _dryRun = false;
+let _dryRunDirty = false;
+let _dryRunReport = true;
+const _dryRunDataFiles = new Map();
+
+let _replaying = false;
+
+/**
+ * Journal a store change (not in dry-run, and not while replaying).
+ * While the data-file cache holds unwritten files, entries wait in memory
+ * until flushDataFiles() has written them: a replayed journal must never
+ * mark a sitemap processed whose judgements did not reach the data files.
+ */
+function journal(entry) {
+  if (_dryRun || _replaying || _storeSnapshot !== null) return;
+  if (_dataCacheEnabled) _pendingJournal.push(entry);
+  else appendJournal(entry);
+}
+
+/** The entries of `data` under `keys`, null for the deleted ones. */
+function pickEntries(data, keys) {
+  return Object.fromEntries(keys.map(key => [key, data[key] ?? null]));
+}
+
+/** Apply journaled entries (see pickEntries) to a store object. */
+function applyEntries(data, entries) {
+  for (const [key, value] of Object.entries(entries)) {
+    if (value === null) delete data[key];
+    else data[key] = value;
+  }
+  return data;
+}
+
+/**
+ * Write nothing from now on.  With `report: false` (a read-only run such as
+ * --serve, or a reader that found the lock taken) flushAll() prints no
+ * dry-run report either: whatever it changed in memory was never meant to
+ * be written.
+ */
+export function enableDryRun({ report = true } = {}) {
+  _dryRun = true;
+  _dryRunReport = report;
+}
+
+export function isDryRun() {
+  return _dryRun;
+}
+
+// Directories emptied in the overlay: their files on disk are ignored.
+const _dryRunClearedDirs = new Set();
+
+/**
+ * Remove a scratch data directory (e.g. data.rebuild/) and, with `recreate`,
+ * start it afresh.  In dry-run mode only the overlay changes: the directory
+ * reads as empty from then on but is left alone on disk.
+ */
+export function clearDataDir(dir, { recreate = false } = {}) {
+  _locators.delete(dir);
+  for (const filePath of _dryRunDataFiles.keys()) {
+    if (path.dirname(filePath) === dir) _dryRunDataFiles.delete(filePath);
+  }
+  if (_dryRun) {
+    _dryRunClearedDirs.add(dir);
+    return;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (recreate) fs.mkdirSync(dir, { recursive: true });
+}
+
+function markDirty(storeFile = null) {
+  if (storeFile !== null) _dirtyStores.add(storeFile);
+  if (_dryRun) _dryRunDirty = true;
+}
+
+function readJsonFromDisk(filePath, upgrade = data => data) {
+  try {
+    return fs.existsSync(filePath) ? upgrade(JSON.parse(fs.readFileSync(filePath, 'utf-8'))) : null;
+  } catch {
+    return null;
+  }
+}
+
+function readDataFileQuietly(filePath) {
+  try {
+    return readDataFile(filePath)?.data ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function reportDryRun() {
+  const files = [..._dryRunDataFiles].map(([filePath, after]) => ({
+    filePath,
+    before: readDataFileQuietly(filePath),
+    after,
+  }));
+  const { files: fileDiffs, moves } = diffDataFiles(files);
+  // Only the stores this run changed: a loaded store can differ from its
+  // file without any change (e.g. the defaults of a missing settings.json).
+  const changed = (filePath, read, cache) => (_dirtyStores.has(filePath) ? diffStore(path.basename(filePath), read(), cache) : null);
+  const stores = [
+    changed(SETTINGS_FILE, () => readJsonFromDisk(SETTINGS_FILE), _settingsCache),
+    changed(MISSING_ELI_FILE, readMissingEliFile, _missingEliCache),
+    changed(ERRORS_FILE, () => readJsonFromDisk(ERRORS_FILE), _errorsCache),
+    changed(CONCLUSIONS_FILE, () => readJsonFromDisk(CONCLUSIONS_FILE), _conclusionsCache),
+    changed(LOG_FILE, () => readJsonFromDisk(LOG_FILE), _logCache),
+    changed(DEAD_URLS_FILE, () => readJsonFromDisk(DEAD_URLS_FILE), _deadUrlsCache),
+  ].filter(Boolean);
+  printDryRunReport({ files: fileDiffs, moves, stores });
+}
 
 /**
  * Write all deferred in-memory stores to disk.
  * Safe to call from a process 'exit' handler (synchronous).
+ * In dry-run mode the pending changes are reported instead (once per batch
+ * of changes) and the caches are kept so later reads still see them.
  */
 export function flushAll() {
-  const written = [];
-  if (_settingsCache !== null) {
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(_settingsCache, null, 2), 'utf-8');
-    written.push('settings.json');
-    _settingsCache = null;
-  }
-  if (_errorsCache !== null) {
-    fs.writeFileSync(ERRORS_FILE, JSON.stringify(_errorsCache, null, 2), 'utf-8');
-    written.push('errors.json');
-    _errorsCache = null;
+  if (_dryRun) {
+    if (_dryRunDirty && _dryRunReport) {
+      reportDryRun();
+      _dryRunDirty = false;
+    }
+    return;
   }
+  writeCachedDataFiles({ checkpoint: false }); // the flush hooks save the indexes below
+  const written = [];
+  if (_settingsCache !== null && writeStore(SETTINGS_FILE, _settingsCache, written)) _settingsCache = null;
+  if (_errorsCache !== null && writeStore(ERRORS_FILE, _errorsCache, written)) _errorsCache = null;
   if (_missingEliCache !== null) {
-    fs.writeFileSync(MISSING_ELI_FILE, JSON.stringify(_missingEliCache, null, 2), 'utf-8');
-    written.push('missing_eli.json');
-    _missingEliCache = null;
-  }
-  if (_logCache !== null) {
-    fs.writeFileSync(LOG_FILE, JSON.stringify(_logCache, null, 2), 'utf-8');
-    written.push('log.json');
-    _logCache = null;
+    let saved = false;
+    if (_sqlite !== null) {
+      if (_dirtyStores.delete(MISSING_ELI_FILE)) {
+        _sqlite.saveMissingEli(_missingEliCache);
+        written.push(`missing_eli (${path.basename(SQLITE_FILE)})`);
+        saved = true;
+      }
+    } else {
+      saved = writeStore(MISSING_ELI_FILE, stamp(_missingEliCache), written);
+    }
+    if (saved) {
+      for (const hook of _dataFileHooks) hook.missingEliWritten?.(_missingEliCache);
+      _missingEliCache = null;
+    }
   }
+  if (_logCache !== null && writeStore(LOG_FILE, _logCache, written)) _logCache = null;
+  if (_conclusionsCache !== null && writeStore(CONCLUSIONS_FILE, _conclusionsCache, written)) _conclusionsCache = null;
+  if (_deadUrlsCache !== null && writeStore(DEAD_URLS_FILE, _deadUrlsCache, written)) _deadUrlsCache = null;
+  for (const hook of _dataFileHooks) hook.flush?.(written);
+
+  // A store that could not be written keeps its changes in the journal, to
+  // be replayed once the file has been repaired.
+  if (![..._corruptFiles].some(f => STORE_FILES.includes(f))) clearJournal();
   if (written.length > 0) {
     console.log(`\u2714 Saved to disk: ${written.join(', ')}`);
   }
 }
 
-// ─── Settings Management ─────────────────────────────────────────────────────
+/**
+ * Apply the journal left behind by a run that died before flushAll(), then
+ * write the stores and delete the journal.  Returns the number of entries
+ * replayed.  In dry-run mode the journal is left alone.
+ */
+export function replayJournal() {
+  const entries = readJournal();
+  if (entries.length === 0) return 0;
+  if (_dryRun) {
+    logWarn(`⚠ journal.jsonl holds ${entries.length} entries from an interrupted run — run without --dry-run to recover them.`);
+    return 0;
+  }
 
-export function loadSettings() {
-  if (_settingsCache !== null) return _settingsCache;
+  _replaying = true;
   try {
-    if (fs.existsSync(SETTINGS_FILE)) {
-      const raw = fs.readFileSync(SETTINGS_FILE, 'utf-8');
-      _settingsCache = JSON.parse(raw);
-      return _settingsCache;
+    const settings = loadSettings();
+    for (const e of entries) {
+      switch (e.op) {
+        case 'processedSitemap': markSitemapProcessed(settings, e.url); break;
+        case 'processedIndex': markSitemapIndexProcessed(settings, e.url, e.sitemaps); break;
+        case 'unprocessedIndex': unmarkSitemapIndex(settings, e.url); break;
+        case 'missingEli': appendMissingEli(e.key, e.element); break;
+        case 'parseError': appendParseError(e.sitemapUrl, e.rawText); break;
+        case 'log': putLogEntry(e.key, e.entry); break;
+        case 'conclusion': putConclusion(e.ecli, e.conc); break;
+        case 'deadUrl': recordDeadUrl(e.url, e); break;
+        case 'missingEliEntries': setMissingEli(applyEntries(loadMissingEliFile(), e.entries)); break;
+        case 'missingEliStore': setMissingEli(e.data); break;
+        case 'errorEntries': setErrors(applyEntries(loadErrorsFile(), e.entries)); break;
+        case 'errorStore': setErrors(e.data); break;
+        default: logWarn(`⚠ Unknown journal entry ignored: ${JSON.stringify(e)}`);
+      }
     }
-  } catch (err) {
-    logWarn(`⚠ Could not read settings.json, starting fresh: ${err.message}`);
+  } finally {
+    _replaying = false;
   }
-  _settingsCache = { processedSitemapIndexes: [], processedSitemaps: [] };
+  logInfo(`${timestamp()} Recovered ${entries.length} journal entries from an interrupted run.`);
+  flushAll();
+  return entries.length;
+}
+
+// ─── Store snapshots ─────────────────────────────────────────────────────────
+// --rebuild replays sitemaps through the same code as a crawl, which records
+// into missing_eli.json, errors.json, conclusions.json, log.json and
+// dead_urls.json.  Those changes only stand if the rebuilt data is swapped
+// in: the stores are snapshotted first and restored otherwise.  Nothing is
+// journaled in between.
+
+let _storeSnapshot = null;
+
+export function snapshotStores() {
+  _storeSnapshot = structuredClone({
+    dirty: _dirtyStores,
+    missingEli: _missingEliCache,
+    errors: _errorsCache,
+    conclusions: _conclusionsCache,
+    log: _logCache,
+    deadUrls: _deadUrlsCache,
+  });
+}
+
+/** Put the stores back as they were at snapshotStores(). */
+export function restoreStores() {
+  ({
+    dirty: _dirtyStores,
+    missingEli: _missingEliCache,
+    errors: _errorsCache,
+    conclusions: _conclusionsCache,
+    log: _logCache,
+    deadUrls: _deadUrlsCache,
+  } = _storeSnapshot);
+  _storeSnapshot = null;
+}
+
+/** Keep the changes made since snapshotStores(). */
+export function dropStoreSnapshot() {
+  _storeSnapshot = null;
+}
+
+// ─── Settings Management ─────────────────────────────────────────────────────
+
+/**
+ * Throws a CorruptFileError when settings.json is unreadable: going on with
+ * empty processed lists would silently re-crawl everything.
+ */
+export function loadSettings() {
+  if (_settingsCache !== null) return _settingsCache;
+  _settingsCache = readStore(SETTINGS_FILE, undefined, { fatal: true }) ?? { processedSitemapIndexes: [], processedSitemaps: [] };
   return _settingsCache;
 }
 
 /** Updates in-memory cache only — written to disk on exit via flushAll(). */
 export function saveSettings(settings) {
   _settingsCache = settings;
+  markDirty(SETTINGS_FILE);
+}
+
+/** Add a sitemap to settings.processedSitemaps. */
+export function markSitemapProcessed(settings, sitemapUrl) {
+  if (settings.processedSitemaps.includes(sitemapUrl)) return;
+  settings.processedSitemaps.push(sitemapUrl);
+  journal({ op: 'processedSitemap', url: sitemapUrl });
+  saveSettings(settings);
+}
+
+/**
+ * Mark a sitemap index as processed.  Its sitemaps are dropped from
+ * settings.processedSitemaps: the index-level entry covers them.
+ */
+export function markSitemapIndexProcessed(settings, sitemapIndexUrl, sitemapUrls) {
+  if (!settings.processedSitemapIndexes.includes(sitemapIndexUrl)) {
+    settings.processedSitemapIndexes.push(sitemapIndexUrl);
+  }
+  const sitemapSet = new Set(sitemapUrls);
+  settings.processedSitemaps = settings.processedSitemaps.filter(url => !sitemapSet.has(url));
+  journal({ op: 'processedIndex', url: sitemapIndexUrl, sitemaps: sitemapUrls });
+  saveSettings(settings);
+}
+
+/** Remove a sitemap index from settings.processedSitemapIndexes. */
+export function unmarkSitemapIndex(settings, sitemapIndexUrl) {
+  settings.processedSitemapIndexes = settings.processedSitemapIndexes.filter(url => url !== sitemapIndexUrl);
+  journal({ op: 'unprocessedIndex', url: sitemapIndexUrl });
+  saveSettings(settings);
 }
 
 // ─── Data File Management ────────────────────────────────────────────────────
 
+// Directory that loadDataFile / saveDataFile operate on.  Normally DATA_DIR;
+// --rebuild points it at a scratch directory while replaying the archive.
+let _dataDir = DATA_DIR;
+
+export function setDataDir(dir) {
+  _dataDir = dir;
+}
+
+export function getDataDir() {
+  return _dataDir;
+}
+
 export function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-    logInfo(`${timestamp()} Created data directory: ${DATA_DIR}`);
+  if (!_dryRun && !fs.existsSync(_dataDir)) {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    logInfo(`${timestamp()} Created data directory: ${_dataDir}`);
+  }
+}
+
+// ─── Write-back cache of data files ──────────────────────────────────────────
+// During a crawl the same large data files (e.g. the Code judiciaire) are
+// loaded and saved for every legal basis of every judgement.  With the cache
+// enabled, parsed files are kept in memory (least recently used first in the
+// Map) and written only by flushDataFiles() — at the end of each sitemap
+// index and in flushAll() — or when evicted to stay under
+// DATA_CACHE_MAX_BYTES.
+
+let _dataCacheEnabled = false;
+const _dataCache = new Map(); // absolute path → { data, bytes, dirty }
+let _dataCacheBytes = 0;
+const _pendingJournal = [];
+
+/** Turn on the write-back cache (crawl paths only; ignored in dry-run). */
+export function enableDataCache() {
+  if (!_dryRun) _dataCacheEnabled = true;
+}
+
+function cacheTouch(filePath) {
+  const entry = _dataCache.get(filePath);
+  if (entry) {
+    _dataCache.delete(filePath);
+    _dataCache.set(filePath, entry);
+  }
+  return entry;
+}
+
+function cachePut(filePath, data, bytes, dirty) {
+  const previous = _dataCache.get(filePath);
+  if (previous) {
+    _dataCacheBytes -= previous.bytes;
+    _dataCache.delete(filePath);
+  }
+  _dataCache.set(filePath, { data, bytes, dirty: dirty || Boolean(previous?.dirty) });
+  _dataCacheBytes += bytes;
+
+  // Evict least recently used files, writing them out if needed.  The entry
+  // just stored always stays, however large it is.
+  for (const [oldPath, entry] of _dataCache) {
+    if (_dataCacheBytes <= DATA_CACHE_MAX_BYTES || oldPath === filePath) break;
+    if (entry.dirty) writeDataFile(oldPath, entry.data);
+    _dataCache.delete(oldPath);
+    _dataCacheBytes -= entry.bytes;
   }
 }
 
+/**
+ * Write every modified cached data file, then release the journal entries
+ * that were waiting for them.  Files stay cached (clean) for later reads.
+ * With `checkpoint` the dataFlushed hooks run too (see above).
+ */
+function writeCachedDataFiles({ checkpoint }) {
+  let count = 0;
+  for (const [filePath, entry] of _dataCache) {
+    if (!entry.dirty) continue;
+    const bytes = writeDataFile(filePath, entry.data);
+    _dataCacheBytes += bytes - entry.bytes;
+    entry.bytes = bytes;
+    entry.dirty = false;
+    count++;
+  }
+  for (const entry of _pendingJournal.splice(0)) appendJournal(entry);
+  syncJournal();
+  if (checkpoint && !_dryRun) {
+    for (const hook of _dataFileHooks) hook.dataFlushed?.();
+  }
+  return count;
+}
+
+/** Write every modified cached data file (e.g. at the end of a sitemap index). */
+export function flushDataFiles() {
+  return writeCachedDataFiles({ checkpoint: true });
+}
+
+/**
+ * List the ELI data filenames (e.g. "eli_loi_1984_06_28_1984900065_justel.json")
+ * in the current data directory, sorted alphabetically.
+ */
+export function listDataFiles() {
+  const db = sqliteFor(_dataDir);
+  const onDisk = !_dryRunClearedDirs.has(_dataDir) && fs.existsSync(_dataDir);
+  const files = new Set(db ? db.listLaws() : onDisk ? fs.readdirSync(_dataDir).filter(f => f.endsWith('.json')) : []);
+  for (const filePath of [..._dryRunDataFiles.keys(), ..._dataCache.keys()]) {
+    if (path.dirname(filePath) === _dataDir) files.add(path.basename(filePath));
+  }
+  return [...files].sort();
+}
+
+/**
+ * Load an ELI data file ({} when it does not exist yet).
+ * Throws CorruptFileError when the file exists but cannot be parsed.
+ */
 export function loadDataFile(filename) {
-  const filePath = path.join(DATA_DIR, filename);
+  const filePath = path.join(_dataDir, filename);
+  if (_dryRunDataFiles.has(filePath)) return _dryRunDataFiles.get(filePath);
+  if (_dryRunClearedDirs.has(_dataDir)) return {};
+  const cached = cacheTouch(filePath);
+  if (cached) return cached.data;
   try {
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    }
+    const file = readDataFile(filePath);
+    if (!file) return {};
+    if (_dataCacheEnabled) cachePut(filePath, file.data, file.bytes, false);
+    return file.data;
   } catch (err) {
-    logWarn(`⚠ Could not read data file ${filename}: ${err.message}`);
+    const error = new CorruptFileError(filePath, err);
+    if (!_corruptFiles.has(filePath)) logError(`✖ ${error.message}`);
+    _corruptFiles.add(filePath);
+    throw error;
   }
-  return {};
 }
 
 export function saveDataFile(filename, data) {
-  const filePath = path.join(DATA_DIR, filename);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  const filePath = path.join(_dataDir, filename);
+  if (_corruptFiles.has(filePath)) {
+    throw new CorruptFileError(filePath, new Error('found corrupt earlier in this run'));
+  }
+  _locators.get(_dataDir)?.updateFile(filename, data);
+  if (_dryRun) {
+    _dryRunDataFiles.set(filePath, data);
+    markDirty();
+    return;
+  }
+  if (_dataCacheEnabled) {
+    cachePut(filePath, data, dataFileJson(data).length, true);
+    return;
+  }
+  writeDataFile(filePath, data);
+}
+
+// ─── Judgement locator ───────────────────────────────────────────────────────
+// Which data files of a data directory hold each ECLI, and which judgements
+// share a case (role number and date).  Built by one pass over the data files
+// the first time it is needed, then kept up to date by saveDataFile().  The
+// case lists are never pruned, so they may still name judgements removed
+// since: callers check the data files.
+
+const _locators = new Map(); // data directory → JudgementLocator
+
+const caseKey = (roleNumber, date) => `${roleNumber}\t${date}`;
+
+function addToSet(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+class JudgementLocator {
+  constructor() {
+    this.files = new Map(); // filename → Set of ECLIs
+    this.eclis = new Map(); // ECLI → Set of filenames
+    this.cases = new Map(); // case key → Set of ECLIs
+  }
+
+  updateFile(filename, data) {
+    const current = new Set();
+    for (const [article, records] of Object.entries(data)) {
+      if (article === 'related') continue;
+      for (const [ecli, record] of Object.entries(records)) {
+        current.add(ecli);
+        if (record.roleNumber && record.date) addToSet(this.cases, caseKey(record.roleNumber, record.date), ecli);
+      }
+    }
+    for (const ecli of this.files.get(filename) ?? []) {
+      if (current.has(ecli)) continue;
+      this.eclis.get(ecli)?.delete(filename);
+      if (this.eclis.get(ecli)?.size === 0) this.eclis.delete(ecli);
+    }
+    for (const ecli of current) addToSet(this.eclis, ecli, filename);
+    this.files.set(filename, current);
+  }
+}
+
+function getLocator() {
+  if (_locators.has(_dataDir)) return _locators.get(_dataDir);
+  const locator = new JudgementLocator();
+  for (const filename of listDataFiles()) {
+    try {
+      locator.updateFile(filename, loadDataFile(filename));
+    } catch {
+      // reported by loadDataFile
+    }
+  }
+  _locators.set(_dataDir, locator);
+  return locator;
+}
+
+/** Data files of the current data directory holding records of `ecli`. */
+export function findJudgementFiles(ecli) {
+  return [...(getLocator().eclis.get(ecli) ?? [])];
+}
+
+/** ECLIs of the judgements stored with this role number and date. */
+export function findJudgementsByCase(roleNumber, date) {
+  return [...(getLocator().cases.get(caseKey(roleNumber, date)) ?? [])];
+}
+
+// ─── JSON ⇄ SQLite ───────────────────────────────────────────────────────────
+
+/**
+ * Replace the data files held in the SQLite database with the JSON files of
+ * `dataDir` (and, with `missingEli`, missing_eli.json).  Every file is read
+ * before anything is written; a corrupt file aborts the import.
+ *
+ * @returns {{files: number, records: number, missingEliKeys: number|null}}
+ */
+export function importJsonIntoSqlite({ dataDir = DATA_DIR, missingEli = true } = {}) {
+  const filenames = fs.existsSync(dataDir) ? fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort() : [];
+  const files = filenames.map((filename) => {
+    const filePath = path.join(dataDir, filename);
+    try {
+      return [filename, upgradeDataFile(JSON.parse(fs.readFileSync(filePath, 'utf-8')))];
+    } catch (err) {
+      throw new CorruptFileError(filePath, err);
+    }
+  });
+  let missingEliData = null;
+  if (missingEli && fs.existsSync(MISSING_ELI_FILE)) {
+    try {
+      missingEliData = upgradeMissingEli(JSON.parse(fs.readFileSync(MISSING_ELI_FILE, 'utf-8')));
+    } catch (err) {
+      throw new CorruptFileError(MISSING_ELI_FILE, err);
+    }
+  }
+
+  const db = _sqlite ?? new SqliteStore(SQLITE_FILE);
+  let records = 0;
+  try {
+    db.transaction(() => {
+      db.clearLaws();
+      for (const [filename, data] of files) {
+        db.saveLaw(filename, data);
+        for (const [article, eclis] of Object.entries(data)) {
+          if (article !== 'related') records += Object.keys(eclis).length;
+        }
+      }
+      if (missingEliData) db.saveMissingEli(missingEliData);
+    });
+  } finally {
+    if (db !== _sqlite) db.close();
+  }
+  // Indexes derived from the JSON files stay valid unless SQLite is in use.
+  if (_storage === 'sqlite') dataFilesReplaced();
+  return { files: files.length, records, missingEliKeys: missingEliData ? Object.keys(missingEliData).length : null };
+}
+
+/**
+ * Regenerate data/*.json and missing_eli.json from the SQLite database, so
+ * that the JSON layout (and the json storage) is up to date again.
+ *
+ * @returns {{files: number, missingEliKeys: number|null, stale: string[]}}
+ *   stale: JSON files of data/ that the database does not hold (left alone)
+ */
+export function exportSqliteToJson() {
+  if (!fs.existsSync(SQLITE_FILE)) throw new Error(`${path.basename(SQLITE_FILE)} does not exist — nothing to export`);
+  const db = _sqlite ?? new SqliteStore(SQLITE_FILE);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const filenames = db.listLaws();
+    for (const filename of filenames) {
+      writeFileAtomic(path.join(DATA_DIR, filename), JSON.stringify(stamp(db.loadLaw(filename)), null, 2));
+    }
+    const missingEliData = db.loadMissingEli();
+    if (missingEliData) writeFileAtomic(MISSING_ELI_FILE, JSON.stringify(stamp(missingEliData), null, 2));
+
+    if (_storage === 'json') dataFilesReplaced();
+
+    const stored = new Set(filenames);
+    const stale = fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json') && !stored.has(f));
+    return { files: filenames.length, missingEliKeys: missingEliData ? Object.keys(missingEliData).length : null, stale };
+  } finally {
+    if (db !== _sqlite) db.close();
+  }
 }
 
 // ─── Missing ELI File Management ────────────────────────────────────────────
 
 export function loadMissingEliFile() {
   if (_missingEliCache !== null) return _missingEliCache;
-  try {
-    if (fs.existsSync(MISSING_ELI_FILE)) {
-      _missingEliCache = JSON.parse(fs.readFileSync(MISSING_ELI_FILE, 'utf-8'));
-      return _missingEliCache;
+  _missingEliCache = (_sqlite !== null ? _sqlite.loadMissingEli() : readStore(MISSING_ELI_FILE, upgradeMissingEli)) ?? {};
+  return _missingEliCache;
+}
+
+/**
+ * missing_eli.json as currently stored (null when absent or unreadable),
+ * bypassing the in-memory cache — for readers such as --serve that must see
+ * what another run wrote since.
+ */
+export function readMissingEliFile() {
+  return _sqlite !== null ? _sqlite.loadMissingEli() : readJsonFromDisk(MISSING_ELI_FILE, upgradeMissingEli);
+}
+
+/**
+ * Updates in-memory cache only — written to disk on exit via flushAll().
+ * The change is journaled: only the entries of `keys` when given (deleted
+ * ones included), otherwise the whole store.
+ */
+export function saveMissingEliFile(data, keys = null) {
+  journal(keys ? { op: 'missingEliEntries', entries: pickEntries(data, keys) } : { op: 'missingEliStore', data });
+  setMissingEli(data);
+}
+
+function setMissingEli(data) {
+  _missingEliCache = data;
+  markDirty(MISSING_ELI_FILE);
+}
+
+// ─── Conclusions File Management ─────────────────────────────────────────────
+// conclusions.json holds the advocate-general conclusions (CONC), keyed by
+// their own ECLI, together with the ECLI of the judgement they belong to.
+
+export function loadConclusionsFile() {
+  if (_conclusionsCache !== null) return _conclusionsCache;
+  _conclusionsCache = readStore(CONCLUSIONS_FILE) ?? {};
+  return _conclusionsCache;
+}
+
+/** Updates in-memory cache only — written to disk on exit via flushAll(). */
+export function saveConclusionsFile(data) {
+  _conclusionsCache = data;
+  markDirty(CONCLUSIONS_FILE);
+}
+
+// Conclusions by case (role number and date), for the conclusions.json
+// object it was built from.
+let _conclusionsByCase = null;
+
+function conclusionsByCase() {
+  const data = loadConclusionsFile();
+  if (_conclusionsByCase?.data !== data) {
+    _conclusionsByCase = { data, cases: new Map() };
+    for (const [ecli, conc] of Object.entries(data)) {
+      addToSet(_conclusionsByCase.cases, caseKey(conc.roleNumber, conc.date), ecli);
     }
-  } catch (err) {
-    logWarn(`⚠ Could not read missing_eli.json, starting fresh: ${err.message}`);
   }
-  _missingEliCache = {};
-  return _missingEliCache;
+  return _conclusionsByCase.cases;
+}
+
+/** ECLIs of the conclusions stored with this role number and date. */
+export function findConclusionsByCase(roleNumber, date) {
+  return [...(conclusionsByCase().get(caseKey(roleNumber, date)) ?? [])];
+}
+
+/** Set one entry of conclusions.json, or delete it when conc is null. */
+export function putConclusion(ecli, conc) {
+  const data = loadConclusionsFile();
+  const cases = conclusionsByCase();
+  if (data[ecli]) cases.get(caseKey(data[ecli].roleNumber, data[ecli].date))?.delete(ecli);
+  if (conc) {
+    data[ecli] = conc;
+    addToSet(cases, caseKey(conc.roleNumber, conc.date), ecli);
+  } else {
+    delete data[ecli];
+  }
+  journal({ op: 'conclusion', ecli, conc });
+  saveConclusionsFile(data);
+}
+
+// ─── Dead URL File Management ────────────────────────────────────────────────
+// dead_urls.json lists the sitemap and sitemap-index URLs that failed with a
+// permanent error (e.g. HTTP 404, see fetch.js), keyed by URL.  They count as
+// done, so an index with a removed sitemap still completes; delete an entry
+// to retry it.
+
+export function loadDeadUrlsFile() {
+  if (_deadUrlsCache !== null) return _deadUrlsCache;
+  _deadUrlsCache = readStore(DEAD_URLS_FILE) ?? {};
+  return _deadUrlsCache;
 }
 
 /** Updates in-memory cache only — written to disk on exit via flushAll(). */
-export function saveMissingEliFile(data) {
-  _missingEliCache = data;
+export function saveDeadUrlsFile(data) {
+  _deadUrlsCache = data;
+  markDirty(DEAD_URLS_FILE);
+}
+
+/**
+ * Record a URL that failed permanently.
+ * @param {string} url
+ * @param {{status: number|null, message: string}} failure
+ */
+export function recordDeadUrl(url, { status, message }) {
+  const data = loadDeadUrlsFile();
+  const now = new Date().toISOString();
+  data[url] = { status, message, firstSeen: data[url]?.firstSeen || now, lastSeen: now };
+  journal({ op: 'deadUrl', url, status, message });
+  saveDeadUrlsFile(data);
+}
+
+export function isDeadUrl(url) {
+  return Object.hasOwn(loadDeadUrlsFile(), url);
 }
 
 // ─── Parse Error File Management ────────────────────────────────────────────
 
 export function loadErrorsFile() {
   if (_errorsCache !== null) return _errorsCache;
-  try {
-    if (fs.existsSync(ERRORS_FILE)) {
-      _errorsCache = JSON.parse(fs.readFileSync(ERRORS_FILE, 'utf-8'));
-      return _errorsCache;
-    }
-  } catch { /* start fresh */ }
-  _errorsCache = {};
+  _errorsCache = readStore(ERRORS_FILE) ?? {};
   return _errorsCache;
 }
 
-/** Updates in-memory cache only — written to disk on exit via flushAll(). */
-export function saveErrorsFile(data) {
+/**
+ * Updates in-memory cache only — written to disk on exit via flushAll().
+ * Journaled like saveMissingEliFile(): the entries of `keys`, or the whole store.
+ */
+export function saveErrorsFile(data, keys = null) {
+  journal(keys ? { op: 'errorEntries', entries: pickEntries(data, keys) } : { op: 'errorStore', data });
+  setErrors(data);
+}
+
+function setErrors(data) {
   _errorsCache = data;
+  markDirty(ERRORS_FILE);
 }
 
 /**
@@ -142,7 +914,8 @@ export function appendParseError(sitemapUrl, rawText) {
   if (!data[sitemapUrl]) data[sitemapUrl] = [];
   if (!data[sitemapUrl].includes(rawText)) {
     data[sitemapUrl].push(rawText);
-    saveErrorsFile(data);
+    journal({ op: 'parseError', sitemapUrl, rawText });
+    setErrors(data);
   }
 }
 
@@ -163,7 +936,6 @@ export function appendMissingEli(rawLegalBasisText, element) {
 
   if (existing) {
     // Merge sitemap array
-    if (!Array.isArray(existing.sitemap)) existing.sitemap = existing.sitemap ? [existing.sitemap] : [];
     if (element.sitemap && !existing.sitemap.includes(element.sitemap)) {
       existing.sitemap.push(element.sitemap);
     }
@@ -173,26 +945,22 @@ export function appendMissingEli(rawLegalBasisText, element) {
       sitemap: element.sitemap ? [element.sitemap] : [],
     });
   }
-  saveMissingEliFile(data);
+  journal({ op: 'missingEli', key, element });
+  setMissingEli(data);
 }
 
 // ─── Log File Management ─────────────────────────────────────────────────────
 
 export function loadLogFile() {
   if (_logCache !== null) return _logCache;
-  try {
-    if (fs.existsSync(LOG_FILE)) {
-      _logCache = JSON.parse(fs.readFileSync(LOG_FILE, 'utf-8'));
-      return _logCache;
-    }
-  } catch { /* start fresh */ }
-  _logCache = {};
+  _logCache = readStore(LOG_FILE) ?? {};
   return _logCache;
 }
 
 /** Updates in-memory cache only — written to disk on exit via flushAll(). */
 export function saveLogFile(data) {
   _logCache = data;
+  markDirty(LOG_FILE);
 }
 
 /**
@@ -200,8 +968,12 @@ export function saveLogFile(data) {
  * @param {Object} entry - All judgement information to log.
  */
 export function appendLogEntry(entry) {
+  putLogEntry(new Date().toISOString(), entry);
+}
+
+function putLogEntry(key, entry) {
   const data = loadLogFile();
-  const key = new Date().toISOString();
   data[key] = entry;
+  journal({ op: 'log', key, entry });
   saveLogFile(data);
 }
@@ -230,6 +230,37 @@ export function eliToFilename(eli) {
   }
 }
 
+/**
+ * Inverse of eliToFilename() for the two shapes of data file names:
+ *   eli_loi_1984_06_28_1984900065_justel.json
+ *     → https://www.ejustice.just.fgov.be/eli/loi/1984/06/28/1984900065/justel
+ *   cgi_loi_loi_1966121931.json
+ *     → https://www.ejustice.just.fgov.be/cgi_loi/change_lg.pl?language=fr&la=F&table_name=loi&cn=1966121931
+ * Returns null for any other name.
+ */
+export function filenameToEli(filename) {
+  const name = filename.replace(/\.json$/, '');
+  if (/^eli(_[^_]+){6}$/.test(name)) {
+    return `https://www.ejustice.just.fgov.be/${name.replace(/_/g, '/')}`;
+  }
+  const cgi = name.match(/^cgi_loi_([^_]+)_(.+)$/);
+  if (cgi) {
+    return `https://www.ejustice.just.fgov.be/cgi_loi/change_lg.pl?language=fr&la=F&table_name=${cgi[1]}&cn=${cgi[2]}`;
+  }
+  return null;
+}
+
+/**
+ * Data file name of a law given as an ELI or cgi_loi URL, an ELI path
+ * ("eli/wet/1984/…", Dutch types included) or a data file name with or
+ * without .json.  Whether the file exists is left to the caller.
+ */
+export function lawToFilename(law) {
+  if (/^https?:\/\//.test(law)) return eliToFilename(normalizeCgiUrl(law) ?? normalizeEliToFrench(law));
+  if (law.startsWith('eli/')) return eliToFilename(normalizeEliToFrench(`https://www.ejustice.just.fgov.be/${law}`));
+  return law.endsWith('.json') ? law : `${law}.json`;
+}
+
 /**
  * Simple text similarity based on shared words ratio.
  * Returns a value between 0 (no match) and 1 (perfect match).
@@ -0,0 +1,336 @@
+/**
+ * --validate: Integrity checks of the data files, missing_eli.json and
+ * errors.json.
+ *
+ * Every file is checked against its JSON Schema in schemas/, and the data
+ * files additionally for:
+ *   - ECLI syntax and real calendar dates
+ *   - article keys left as normalizeArticleNumber() would produce them
+ *   - split-text files holding only articles within their split_texts.json
+ *     range
+ *   - no ECLI under both "general" and a specific article of the same file
+ *
+ * The issues are written to validation_report.json (or --report <file>).
+ * With --fix the safe repairs are applied through storage.js (so --dry-run
+ * shows them instead):
+ *   - article keys are renamed to their normalised form
+ *   - "general" records whose abstracts all appear under a specific article
+ *     are dropped (their sitemaps are kept on the specific records)
+ *   - misplaced split-text articles are moved to the right part's file
+ *   - empty and duplicate entries of errors.json are removed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { logInfo, logSuccess, logWarn, logError, timestamp } from './logger.js';
+import { getStorage, listDataFiles, loadDataFile, saveDataFile, loadMissingEliFile, loadErrorsFile, saveErrorsFile,
+  getCorruptFiles, flushAll, writeFileAtomic } from './storage.js';
+import { mergeJudgementRecords, reassignSplitTextAbstracts } from './data.js';
+import { getAllSplitTextElis, articleBelongsToPart, findEliForArticle } from './split_texts.js';
+import { eliToFilename, normalizeArticleNumber } from './utils.js';
+import { SCHEMA_VERSION, stamp } from './schema.js';
+import { SCHEMAS_DIR, MISSING_ELI_FILE, ERRORS_FILE, VALIDATION_REPORT_FILE } from './constants.js';
+
+const SCHEMAS = Object.fromEntries(['data_file', 'missing_eli', 'errors'].map(name => [
+  name,
+  JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf-8')),
+]));
+
+// Checks whose issues are errors; the others are warnings.
+const ERROR_CHECKS = new Set(['unreadable', 'schema', 'ecli', 'date']);
+
+// ─── JSON Schema subset ──────────────────────────────────────────────────────
+// Only the keywords used in schemas/ are supported: $ref (local), type,
+// properties, required, additionalProperties, propertyNames, items, pattern,
+// minimum, minItems and uniqueItems.
+
+const pointer = segments => segments.map(s => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Check `value` against `schema`; push { at, def, message } to `out` for every
+ * violation.  `def` is the name of the innermost $defs entry involved (used to
+ * classify ECLI and date problems).
+ */
+function checkSchema(value, schema, root, at, def, out) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    checkSchema(value, root.$defs[name], root, at, name, out);
+    return;
+  }
+  const fail = message => out.push({ at: pointer(at), def, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`expected ${[].concat(schema.type).join(' or ')}, found ${typeOf(value)}`);
+    return;
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`"${value}" does not match ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`${value} is below ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`fewer than ${schema.minItems} item(s)`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) fail('duplicate items');
+    if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, root, [...at, i], def, out));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) fail(`missing "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.propertyNames) checkSchema(key, schema.propertyNames, root, [...at, key], def, out);
+      if (schema.properties?.[key]) checkSchema(child, schema.properties[key], root, [...at, key], def, out);
+      else if (schema.additionalProperties === false) fail(`unexpected "${key}"`);
+      else if (schema.additionalProperties) checkSchema(child, schema.additionalProperties, root, [...at, key], def, out);
+    }
+  }
+}
+
+function schemaIssues(file, value, schemaName) {
+  const out = [];
+  const schema = SCHEMAS[schemaName];
+  checkSchema(value, schema, schema, [], null, out);
+  return out.map(({ at, def, message }) => ({
+    file,
+    check: def === 'ecli' ? 'ecli' : def === 'isoDate' ? 'date' : 'schema',
+    path: at,
+    message,
+  }));
+}
+
+/** A YYYY-MM-DD string that is also a real calendar day. */
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return true; // reported by the schema
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+// ─── Data files ──────────────────────────────────────────────────────────────
+
+function articleEntries(data) {
+  return Object.entries(data).filter(([article]) => article !== 'related');
+}
+
+/** Abstracts of a general record that some specific record of the ECLI also has. */
+function coveredBySpecific(generalRecord, specificRecords) {
+  const texts = new Set(specificRecords.flatMap(r => [...(r.abstractFR ?? []), ...(r.abstractNL ?? [])]));
+  return [...(generalRecord.abstractFR ?? []), ...(generalRecord.abstractNL ?? [])].every(t => texts.has(t));
+}
+
+/**
+ * Return the issues of one data file.  With `fix`, safe repairs are applied to
+ * `data` in place and the issues they resolve are marked fixed.
+ */
+function checkDataFile(filename, data, splitPart, fix) {
+  const issues = schemaIssues(filename, stamp(data), 'data_file');
+
+  for (const [article, records] of articleEntries(data)) {
+    if (typeOf(records) !== 'object') continue; // reported by the schema
+    for (const [ecli, record] of Object.entries(records)) {
+      if (typeof record?.date === 'string' && !isCalendarDate(record.date)) {
+        issues.push({ file: filename, check: 'date', path: pointer([article, ecli, 'date']), message: `${record.date} is not a calendar date` });
+      }
+    }
+
+    if (article !== 'general') {
+      const normalized = normalizeArticleNumber(article);
+      if (normalized !== article) {
+        const issue = {
+          file: filename,
+          check: 'article-key',
+          path: pointer([article]),
+          message: normalized ? `article key "${article}" normalises to "${normalized}"` : `"${article}" is not an article number`,
+        };
+        if (fix && normalized) {
+          if (!data[normalized]) data[normalized] = {};
+          for (const [ecli, record] of Object.entries(records)) {
+            data[normalized][ecli] = mergeJudgementRecords(data[normalized][ecli], record);
+          }
+          delete data[article];
+          issue.fixed = true;
+        }
+        issues.push(issue);
+      }
+    }
+
+    if (splitPart && !articleBelongsToPart(article, splitPart.part)) {
+      const target = findEliForArticle(splitPart.splitText, article);
+      issues.push({
+        file: filename,
+        check: 'split-text-range',
+        path: pointer([article]),
+        message: `article ${article} is outside ${splitPart.part.from}–${splitPart.part.to}${target ? ` (belongs in ${eliToFilename(target)})` : ''}`,
+        movable: Boolean(target && target !== splitPart.part.eli),
+      });
+    }
+  }
+
+  const general = typeOf(data.general) === 'object' ? data.general : {};
+  for (const [ecli, generalRecord] of Object.entries(general)) {
+    const specific = articleEntries(data)
+      .filter(([article, records]) => article !== 'general' && records?.[ecli])
+      .map(([, records]) => records[ecli]);
+    if (specific.length === 0) continue;
+    const issue = {
+      file: filename,
+      check: 'general-and-specific',
+      path: pointer(['general', ecli]),
+      message: `${ecli} is also stored under ${specific.length} specific article(s)`,
+    };
+    if (fix && coveredBySpecific(generalRecord, specific)) {
+      for (const record of specific) Object.assign(record, mergeJudgementRecords(record, { sitemap: generalRecord.sitemap }));
+      delete general[ecli];
+      if (Object.keys(general).length === 0) delete data.general;
+      issue.fixed = true;
+    }
+    issues.push(issue);
+  }
+  return issues;
+}
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+
+function checkMissingEli() {
+  const file = path.basename(MISSING_ELI_FILE);
+  const data = loadMissingEliFile();
+  const issues = schemaIssues(file, stamp(data), 'missing_eli');
+  for (const [key, entry] of Object.entries(data)) {
+    (entry?.elements ?? []).forEach((element, i) => {
+      if (typeof element?.date === 'string' && !isCalendarDate(element.date)) {
+        issues.push({ file, check: 'date', path: pointer([key, 'elements', i, 'date']), message: `${element.date} is not a calendar date` });
+      }
+    });
+  }
+  return issues;
+}
+
+function checkErrors(fix) {
+  const file = path.basename(ERRORS_FILE);
+  const data = loadErrorsFile();
+  const issues = schemaIssues(file, data, 'errors');
+  if (fix && issues.length > 0) {
+    const repaired = {};
+    for (const [url, texts] of Object.entries(data)) {
+      const unique = Array.isArray(texts) ? [...new Set(texts.filter(t => typeof t === 'string'))] : [];
+      if (unique.length > 0) repaired[url] = unique;
+    }
+    saveErrorsFile(repaired);
+    // Whatever is still wrong after the repair (e.g. a key that is not a URL)
+    // stays unfixed.
+    const remaining = new Set(schemaIssues(file, repaired, 'errors').map(i => i.path + i.message));
+    for (const issue of issues) if (!remaining.has(issue.path + issue.message)) issue.fixed = true;
+  }
+  return issues;
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate every data file and store, write the JSON report and print a
+ * summary.  Sets a non-zero exit code when errors remain.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.fix] - apply the safe repairs (--fix)
+ * @param {string} [options.reportFile] - where to write the JSON report
+ */
+export function validateDataset({ fix = false, reportFile = VALIDATION_REPORT_FILE } = {}) {
+  logInfo(`${timestamp()} Validating data files (${getStorage()} storage), missing_eli.json and errors.json${fix ? ' — with repairs' : ''}`);
+
+  const splitParts = new Map(getAllSplitTextElis().map(entry => [eliToFilename(entry.part.eli), entry]));
+  const filenames = listDataFiles();
+  const issues = [];
+  let records = 0;
+
+  for (let i = 0; i < filenames.length; i++) {
+    const filename = filenames[i];
+    let data;
+    try {
+      data = loadDataFile(filename);
+    } catch (err) {
+      issues.push({ file: filename, check: 'unreadable', path: '', message: err.message });
+      continue;
+    }
+    for (const [, eclis] of articleEntries(data)) records += typeOf(eclis) === 'object' ? Object.keys(eclis).length : 0;
+
+    const fileIssues = checkDataFile(filename, data, splitParts.get(filename), fix);
+    if (fix && fileIssues.some(issue => issue.fixed)) saveDataFile(filename, data);
+    issues.push(...fileIssues);
+    if ((i + 1) % 500 === 0) logInfo(chalk.gray(`  ${i + 1}/${filenames.length} data files checked`));
+  }
+
+  // Misplaced split-text articles are moved by the same routine as
+  // --process-missing-eli uses, across files.
+  const misplaced = issues.filter(issue => issue.check === 'split-text-range');
+  if (fix && misplaced.some(issue => issue.movable)) {
+    reassignSplitTextAbstracts();
+    for (const issue of misplaced) if (issue.movable) issue.fixed = true;
+  }
+  for (const issue of misplaced) delete issue.movable;
+
+  issues.push(...checkMissingEli(), ...checkErrors(fix));
+  for (const filePath of getCorruptFiles()) {
+    if ([MISSING_ELI_FILE, ERRORS_FILE].includes(filePath)) {
+      issues.push({ file: path.basename(filePath), check: 'unreadable', path: '', message: 'could not be parsed' });
+    }
+  }
+
+  for (const issue of issues) {
+    issue.severity = ERROR_CHECKS.has(issue.check) ? 'error' : 'warning';
+    issue.fixed = Boolean(issue.fixed);
+  }
+  const byCheck = {};
+  for (const issue of issues) {
+    byCheck[issue.check] ??= { found: 0, fixed: 0 };
+    byCheck[issue.check].found++;
+    if (issue.fixed) byCheck[issue.check].fixed++;
+  }
+  const fixedCount = issues.filter(issue => issue.fixed).length;
+  const openErrors = issues.filter(issue => issue.severity === 'error' && !issue.fixed).length;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    storage: getStorage(),
+    fix,
+    summary: { dataFiles: filenames.length, records, issues: issues.length, fixed: fixedCount, openErrors, byCheck },
+    issues,
+  };
+  writeFileAtomic(reportFile, JSON.stringify(report, null, 2));
+
+  console.log(chalk.bold.cyan('\n╔══════════════════════════════════════════╗'));
+  console.log(chalk.bold.cyan('║           VALIDATION COMPLETE            ║'));
+  console.log(chalk.bold.cyan('╚══════════════════════════════════════════╝'));
+  logInfo(`  Data files:             ${filenames.length}`);
+  logInfo(`  ECLI-article pairs:     ${records}`);
+  for (const [check, { found, fixed }] of Object.entries(byCheck)) {
+    const line = `  ${check.padEnd(22)}  ${String(found).padStart(6)}${fix ? `   fixed ${String(fixed).padStart(6)}` : ''}`;
+    if (ERROR_CHECKS.has(check)) logError(line);
+    else logWarn(line);
+  }
+  const open = issues.filter(issue => !issue.fixed);
+  for (const issue of [...open.filter(i => i.severity === 'error'), ...open.filter(i => i.severity !== 'error')].slice(0, 10)) {
+    logInfo(chalk.gray(`    ${issue.file}${issue.path ? `#${issue.path}` : ''}: ${issue.message}`));
+  }
+  if (issues.length === 0) logSuccess('✔ No issues found.');
+  else if (!fix) logInfo(chalk.gray(`  Re-run with --fix to apply the safe repairs.`));
+  logInfo(`  Report: ${reportFile}`);
+  logInfo('');
+
+  // Without --fix nothing was changed, so nothing is written but the report.
+  if (fix) flushAll();
+  if (openErrors > 0) process.exitCode = 1;
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, matchQuery } from '../src/search.js';
+import { LANGS } from '../src/analyzer.js';
+
+const ECLI = 'ECLI:BE:CASS:2017:ARR.20170914.2';
+
+function sampleIndex() {
+  const index = new SearchIndex();
+  index.updateFile('cgi_loi_loi_1791030201.json', {
+    7: {
+      [ECLI]: {
+        court: 'CASS',
+        date: '2017-09-14',
+        abstractFR: ["L'article 7 du décret des 2 et 17 mars 1791, qui s'oppose à une limitation illicite de la liberté du commerce et de l'industrie, est d'ordre public."],
+        abstractNL: ['Artikel 7 van het decreet van 2 en 17 maart 1791, dat zich verzet tegen een ongeoorloofde beperking van de vrijheid van handel en nijverheid, is van openbare orde.'],
+      },
+    },
+  });
+  return index;
+}
+
+test('a stop word of one language is not required in the other', () => {
+  const index = sampleIndex();
+  for (const langs of [LANGS, ['fr']]) {
+    const { parsed, byEcli } = matchQuery(index, 'liberté du commerce', langs);
+    assert.equal(parsed.length, 2, `"du" is left out when searching ${langs}`);
+    assert.ok(byEcli.has(ECLI), `found when searching ${langs}`);
+  }
+  assert.ok(matchQuery(index, 'vrijheid van handel', LANGS).byEcli.has(ECLI));
+});
+
+test('every other query word is required', () => {
+  const index = sampleIndex();
+  assert.equal(matchQuery(index, 'liberté du travail', LANGS).byEcli.size, 0);
+});